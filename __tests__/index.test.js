@@ -1,3 +1,5 @@
+const { Readable } = require("stream");
+
 const mockArgs = {
   path: "examples",
   fix: false,
@@ -20,11 +22,15 @@ const mockConfig = {
   requiredAttributes: ["test"],
 };
 
+// The TOML parser needs Node.js 16.9 or later
+const itWithToml = typeof Object.hasOwn === "function" ? it : it.skip;
+
 describe("yaml-fm-lint", () => {
   const orgProcess = { ...process };
   const orgConsole = { ...console };
 
   beforeEach(() => {
+    delete process.env.GITHUB_ACTIONS;
     console = {
       ...orgConsole,
       log: jest.fn().mockName("console.log"),
@@ -418,6 +424,89 @@ describe("yaml-fm-lint", () => {
       });
     });
 
+    it("should use .yaml config if provided", () => {
+      process.argv = [
+        "node",
+        "index.js",
+        "examples/testPassCustomConfig.md",
+        "--config=examples/customConfig.yaml",
+      ];
+      const { run } = require("../index");
+
+      return run().then(({ errorNumber }) => {
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/valid front matter/));
+        expect(errorNumber).toBe(0);
+      });
+    });
+
+    it("should use the default export of .mjs config if provided", () => {
+      // Jest cannot load ES modules with `require`, so the CLI runs in its own process
+      const { spawnSync } = require("child_process");
+      const { status, stdout } = spawnSync(
+        process.execPath,
+        ["index.js", "examples/testPassCustomConfig.md", "--config=examples/customConfig.mjs"],
+        { encoding: "utf8", timeout: 10000 }
+      );
+
+      // `require` loads ES modules from Node.js 20.19 and 22.12 on
+      const [major, minor] = process.versions.node.split(".").map(Number);
+      if (major < 20 || (major === 20 && minor < 19) || (major === 22 && minor < 12)) {
+        expect(stdout).toMatch(/Cannot load ES module config examples\/customConfig\.mjs/);
+        expect(status).toBe(2);
+        return;
+      }
+
+      expect(stdout).toMatch(/valid front matter/);
+      expect(status).toBe(0);
+    });
+
+    it("should apply the configs listed in extends before the config file", () => {
+      process.argv = [
+        "node",
+        "index.js",
+        "examples/testLowercaseTags.md",
+        "--config=examples/extendingConfig.json",
+      ];
+      const { run, errorMessages } = require("../index");
+
+      return run().then(({ errorNumber }) => {
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/tags must be lowercase/));
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(new RegExp(`${errorMessages.missingAttributes}.+title`))
+        );
+        expect(errorNumber).toBe(3);
+      });
+    });
+
+    it("should report unknown keys and wrong types in config files with exit code 2", () => {
+      process.argv = [
+        "node",
+        "index.js",
+        "examples/testPassing.md",
+        "--config=examples/invalidConfig.json",
+      ];
+      const { run } = require("../index");
+
+      return run().then(({ errorNumber }) => {
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(
+            /Invalid config in examples\/invalidConfig\.json:\n.+"requiredAtributes" is not a known config key\. Did you mean "requiredAttributes"\?\n.+"extensions" must be array/
+          )
+        );
+        expect(errorNumber).toBe(1);
+        expect(process.exitCode).toBe(2);
+      });
+    });
+
+    it("should throw a ConfigError if createLinter() is given an invalid config", () => {
+      const { createLinter, ConfigError } = require("../index");
+
+      expect(() => createLinter({ extraLintFns: ["lint"] })).toThrow(ConfigError);
+      expect(() => createLinter({ rules: { "no-quote": "off" } })).toThrow(
+        /"rules.no-quote" is not a known rule ID/
+      );
+    });
+
     it("should use nested config if found", () => {
       const { main } = require("../index");
       const args = { ...mockArgs, path: "examples/nested", recursive: true };
@@ -434,6 +523,25 @@ describe("yaml-fm-lint", () => {
       });
     });
 
+    it("should not use nested config for files outside of its directory", () => {
+      const { main, errorMessages } = require("../index");
+      const args = { ...mockArgs, path: "examples", recursive: true, quiet: true };
+
+      return new Promise((resolve, reject) => {
+        main(args, mockConfig)
+          .then(({ errors }) => {
+            errors
+              .flat(Infinity)
+              .filter(({ filePath }) => !filePath.startsWith("examples/nested/"))
+              .forEach(({ errors }) => {
+                expect(errors[errorMessages.missingAttributes] || []).not.toContain("nested");
+              });
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
     it("should return no linting errors for disabled line", () => {
       const { lintFile, warningMessages, errorMessages } = require("../index");
       const path = "examples/testDisabledRule.md";
@@ -472,6 +580,137 @@ describe("yaml-fm-lint", () => {
       ]);
     });
 
+    it("should only disable the rules listed in disable directives", () => {
+      const { lintFile, errorMessages, warningMessages } = require("../index");
+      const text = [
+        "---",
+        'test: "a, b" # fmlint-disable-line no-quotes',
+        "# fmlint-disable no-brackets -- flow lists are fine here",
+        "tags: [a]",
+        "# fmlint-disable-next-line no-quotes",
+        'other: ["b"]',
+        "# fmlint-enable no-brackets",
+        "more: [c]",
+        "---",
+      ].join("\n");
+
+      return lintFile(
+        "examples/testDirectives.md",
+        text,
+        { ...mockArgs, quiet: true },
+        mockConfig
+      ).then(({ errors, warnings, fileErrors, fileWarnings }) => {
+        expect(errors[errorMessages.quotes]).toEqual([]);
+        expect(errors[errorMessages.brackets]).toEqual([
+          { row: 8, col: 8 },
+          { row: 8, col: 10 },
+        ]);
+        expect(warnings[warningMessages.warnCommas]).toEqual([{ row: 2, col: 10 }]);
+        expect(fileErrors).toBe(2);
+        expect(fileWarnings).toBe(1);
+      });
+    });
+
+    it("should disable rules for the whole file and report unused directives if asked to", () => {
+      const { lintFile, errorMessages } = require("../index");
+      const text = [
+        "---",
+        "# fmlint-disable-file required-attributes",
+        "title: a # fmlint-disable-line",
+        "tags: b # fmlint-disable-line no-quotes, warn-commas",
+        "---",
+      ].join("\n");
+      const args = { ...mockArgs, quiet: true, reportUnusedDisableDirectives: true };
+
+      return Promise.all([
+        lintFile("examples/testDirectives.md", text, { ...mockArgs, quiet: true }, mockConfig),
+        lintFile("examples/testDirectives.md", text, args, mockConfig),
+      ]).then(([withoutReport, withReport]) => {
+        expect(withoutReport.fileErrors).toBe(0);
+        expect(withReport.fileErrors).toBe(3);
+        expect(withReport.errors[errorMessages.unusedDirective]).toEqual([
+          { row: 3, col: 10, colStart: 9, colEnd: 30 },
+        ]);
+        expect(withReport.errors[`${errorMessages.unusedDirective} for no-quotes`]).toEqual([
+          { row: 4, col: 9, colStart: 8, colEnd: 52 },
+        ]);
+        expect(withReport.errors[`${errorMessages.unusedDirective} for warn-commas`].length).toBe(
+          1
+        );
+      });
+    });
+
+    it("should not fix the rules disabled by directives", () => {
+      const { createLinter } = require("../index");
+      const linter = createLinter(mockConfig);
+      const text = ["---", 'test: "a" # fmlint-disable-line no-quotes', 'other: "b"', "---"].join(
+        "\n"
+      );
+
+      return linter.fixText(text).then(({ output }) => {
+        expect(output).toBe(
+          ["---", 'test: "a" # fmlint-disable-line no-quotes', "other: b", "---"].join("\n")
+        );
+      });
+    });
+
+    it("should not change the content of literal and folded block scalars when fixing", () => {
+      const { createLinter } = require("../index");
+      const linter = createLinter(mockConfig);
+      const literal = ["---", "test: |", "  intro", "      code line", "---"].join("\n");
+      const folded = [
+        "---",
+        "test: a",
+        "description: >",
+        "  Some prose, with commas,",
+        "  and more text",
+        'title: "b"',
+        "---",
+      ].join("\n");
+
+      return Promise.all([linter.fixText(literal), linter.fixText(folded)]).then(
+        ([fixedLiteral, fixedFolded]) => {
+          expect(fixedLiteral.output).toBe(literal);
+          expect(fixedFolded.output).toBe(folded.replace('title: "b"', "title: b"));
+        }
+      );
+    });
+
+    it("should not fix the front matter if the fixes would change its values", () => {
+      const { createLinter } = require("../index");
+      const linter = createLinter(mockConfig);
+      const text = ["---", "test: |+", "  keep", "", 'other: "b"', "---"].join("\n");
+
+      return linter.fixText(text).then(({ output }) => {
+        expect(output).toBe(text);
+      });
+    });
+
+    it("should apply the overrides matching the file after the directory config", () => {
+      const { lintFile, errorMessages } = require("../index");
+      const config = {
+        ...mockConfig,
+        overrides: [
+          { files: ["blog/**/*.md"], requiredAttributes: ["test", "author"] },
+          { files: "blog/drafts/*.md", rules: { "no-quotes": "off" } },
+        ],
+      };
+      const text = '---\ntest: "a"\n---\n';
+      const args = { ...mockArgs, quiet: true };
+
+      return Promise.all([
+        lintFile("docs/page.md", text, args, config),
+        lintFile("blog/2024/post.md", text, args, config),
+        lintFile("blog/drafts/post.md", text, args, config),
+      ]).then(([page, post, draft]) => {
+        expect(page.errors[errorMessages.missingAttributes]).toEqual([]);
+        expect(post.errors[errorMessages.missingAttributes]).toEqual(["author"]);
+        expect(post.errors[errorMessages.quotes].length).toBe(2);
+        expect(draft.errors[errorMessages.missingAttributes]).toEqual(["author"]);
+        expect(draft.errors[errorMessages.quotes]).toBeUndefined();
+      });
+    });
+
     it("should not lint attributes specified in config", () => {
       const { main, errorMessages, warningMessages } = require("../index");
       const args = { ...mockArgs, path: "examples/testDisabledRuleConfig.md" };
@@ -494,6 +733,44 @@ describe("yaml-fm-lint", () => {
       });
     });
 
+    it("should not report rules turned off in config", () => {
+      const { main } = require("../index");
+      const args = { ...mockArgs, path: "examples/testQuotes.md" };
+      const config = { ...mockConfig, rules: { "no-quotes": "off" } };
+
+      return new Promise((resolve, reject) => {
+        main(args, config)
+          .then(({ errorNumber, warningNumber }) => {
+            expect(console.log).not.toHaveBeenCalled();
+            expect(errorNumber).toBe(0);
+            expect(warningNumber).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should use rule severity set in config", () => {
+      const { main, warningMessages } = require("../index");
+      const args = { ...mockArgs, path: "examples/testCommas.md" };
+      const config = { ...mockConfig, rules: { "warn-commas": "error" } };
+
+      return new Promise((resolve, reject) => {
+        main(args, config)
+          .then(({ errors: [{ errors, ruleIds }], errorNumber, warningNumber }) => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(new RegExp(`${warningMessages.warnCommas} \\(warn-commas\\)`))
+            );
+            expect(errors[warningMessages.warnCommas].length).toBe(1);
+            expect(ruleIds[warningMessages.warnCommas]).toBe("warn-commas");
+            expect(errorNumber).toBe(1);
+            expect(warningNumber).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
     it("should not lint excluded files: non-recursive", () => {
       const exclude = "testQuotes.md";
       const mockLog = jest.fn().mockName("console.log");
@@ -564,6 +841,73 @@ describe("yaml-fm-lint", () => {
       });
     });
 
+    it("should only exclude files matching whole path segments", () => {
+      const mockLog = jest.fn().mockName("console.log");
+      console.log = mockLog;
+      const { main } = require("../index");
+      const args = { ...mockArgs, path: "examples/testQuotes.md" };
+      const config = { ...mockConfig, excludeFiles: ["Quotes.md", "les/testQuotes.md"] };
+
+      return main(args, config).then(({ errorNumber }) => {
+        expect(mockLog).not.toHaveBeenCalledWith(expect.stringMatching(/excluded/i));
+        expect(errorNumber).not.toBe(0);
+      });
+    });
+
+    it("should not lint files ignored by .fmlintignore in every mode", () => {
+      const { main } = require("../index");
+      const modes = [
+        { path: "examples/fmlintignore", recursive: false },
+        { path: "examples/fmlintignore", recursive: true },
+        { path: "examples/fmlintignore/**/*.md", recursive: false },
+        { path: "examples/fmlintignore/**/*.md", recursive: false, globOnly: true },
+      ];
+
+      return modes.reduce(
+        (promise, mode) =>
+          promise.then(() =>
+            main({ ...mockArgs, ...mode }, mockConfig).then(({ errors, errorNumber }) => {
+              expect(errors.flat(Infinity).map(({ filePath }) => filePath)).toEqual([
+                "examples/fmlintignore/ignoredButKept.md",
+              ]);
+              expect(errorNumber).toBe(0);
+            })
+          ),
+        Promise.resolve()
+      );
+    });
+
+    it("should log ignored files given as path", () => {
+      const mockLog = jest.fn().mockName("console.log");
+      console.log = mockLog;
+      const { main } = require("../index");
+      const args = { ...mockArgs, path: "examples/fmlintignore/sub/testQuotes.md" };
+
+      return main(args, mockConfig).then(({ errorNumber }) => {
+        expect(mockLog).toHaveBeenCalledWith(
+          expect.stringMatching(/excluded.*fmlintignore\/sub\/testQuotes\.md/i)
+        );
+        expect(errorNumber).toBe(0);
+      });
+    });
+
+    it("should lint every file matched by a glob", () => {
+      const { main } = require("../index");
+      const args = { ...mockArgs, path: "examples/glob/*.md" };
+
+      return new Promise((resolve, reject) => {
+        main(args, mockConfig)
+          .then(({ errors }) => {
+            expect(errors.map(({ filePath }) => filePath).sort()).toEqual([
+              "examples/glob/testBlankLines.md",
+              "examples/glob/testQuotes.md",
+            ]);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
     it("should return error when no directory found", () => {
       const mockLog = jest.fn();
       console.log = mockLog;
@@ -710,14 +1054,17 @@ describe("yaml-fm-lint", () => {
 
       const args = {
         ...mockArgs,
-        path: "examples/testPassing.md",
+        path: "examples/testTrailingCommas.md",
         fix: true,
       };
 
       return new Promise((resolve, reject) => {
         main(args, mockConfig)
           .then(({ errorNumber, warningNumber }) => {
-            expect(writeFileSync).toHaveBeenCalled();
+            expect(writeFileSync).toHaveBeenCalledWith(
+              "examples/testTrailingCommas.md",
+              "---\ntest:\n  - test\n---\n\nTest"
+            );
             expect(console.log).not.toHaveBeenCalled();
             expect(errorNumber).toBe(0);
             expect(warningNumber).toBe(0);
@@ -727,39 +1074,26 @@ describe("yaml-fm-lint", () => {
       });
     });
 
-    it("should give 'invalid argument' error if given an invalid argument", () => {
-      process.argv = ["node", "index.js", "examples/testPassing.md", "test"];
-      const { run } = require("../index");
+    it("should not write files without fixable errors if given the --fix flag", () => {
+      const { main } = require("../index");
+      const { writeFileSync } = require("fs");
 
-      return new Promise((resolve, reject) => {
-        run()
-          .then(() => {
-            expect(console.time).toHaveBeenCalled();
-            expect(console.log).toHaveBeenCalledWith(
-              expect.stringMatching(/Invalid argument.+test/)
-            );
-            expect(console.timeEnd).toHaveBeenCalled();
-          })
-          .then(resolve)
-          .catch(reject);
-      });
-    });
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
 
-    it("should display errors on a single line if given the '--oneline' flag", () => {
-      const { main } = require("../index");
       const args = {
         ...mockArgs,
-        path: "examples/testNoYaml.md",
-        oneline: true,
+        path: "examples/testPassing.md",
+        fix: true,
       };
 
       return new Promise((resolve, reject) => {
         main(args, mockConfig)
           .then(({ errorNumber, warningNumber }) => {
-            expect(console.log).toHaveBeenCalledWith(
-              expect.stringMatching(/<front matter not found>/)
-            );
-            expect(errorNumber).toBe(1);
+            expect(writeFileSync).not.toHaveBeenCalled();
+            expect(errorNumber).toBe(0);
             expect(warningNumber).toBe(0);
           })
           .then(resolve)
@@ -767,80 +1101,175 @@ describe("yaml-fm-lint", () => {
       });
     });
 
-    it("should display 'no brackets' error on a single line if given the '--oneline' flag", () => {
-      const { main, errorMessages } = require("../index");
-      const args = {
-        ...mockArgs,
-        path: "examples/testBrackets.md",
-        oneline: true,
-      };
+    it("should only change the lines with fixable errors if given the --fix flag", () => {
+      const { lintFile } = require("../index");
+      const { writeFileSync } = require("fs");
+
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
+      const text = [
+        "---",
+        "# page metadata",
+        'title : "Hello"   # main title',
+        "tags: [a, b]",
+        "",
+        "description: It's fine # fmlint-disable-line",
+        "author: {name: Jo, email: 'jo@example.com'}",
+        "order:",
+        "     - x,",
+        '     - "yes"',
+        "---",
+        "",
+        "Content",
+      ].join("\n");
 
       return new Promise((resolve, reject) => {
-        main(args, mockConfig)
-          .then(({ errorNumber, warningNumber }) => {
-            expect(console.log).toHaveBeenCalledWith(
-              expect.stringMatching(new RegExp(`<${errorMessages.brackets}>`))
+        lintFile(
+          "test.md",
+          text,
+          { ...mockArgs, fix: true },
+          { ...mockConfig, requiredAttributes: [] }
+        )
+          .then(({ fileErrors }) => {
+            expect(writeFileSync).toHaveBeenCalledWith(
+              "test.md",
+              [
+                "---",
+                "# page metadata",
+                "title: Hello   # main title",
+                "tags:",
+                "  - a",
+                "  - b",
+                "description: It's fine # fmlint-disable-line",
+                "author:",
+                "  name: Jo",
+                "  email: jo@example.com",
+                "order:",
+                "  - x",
+                '  - "yes"',
+                "---",
+                "",
+                "Content",
+              ].join("\n")
             );
-            expect(errorNumber).toBe(2);
-            expect(warningNumber).toBe(0);
+            // quotes are kept where they change the value
+            expect(fileErrors).toBe(2);
           })
           .then(resolve)
           .catch(reject);
       });
     });
 
-    it("should display 'no empty lines' error on a single line if given the '--oneline' flag", () => {
-      const { main, errorMessages } = require("../index");
+    it("should show a diff instead of writing files if given the --fix-dry-run flag", () => {
+      const { main } = require("../index");
+      const { writeFileSync } = require("fs");
+
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
       const args = {
         ...mockArgs,
-        path: "examples/testBlankLines.md",
-        oneline: true,
+        path: "examples/testTrailingCommas.md",
+        fixDryRun: true,
+        colored: false,
       };
 
       return new Promise((resolve, reject) => {
         main(args, mockConfig)
-          .then(({ errorNumber, warningNumber }) => {
+          .then(({ errors: [result], errorNumber }) => {
+            expect(writeFileSync).not.toHaveBeenCalled();
             expect(console.log).toHaveBeenCalledWith(
-              expect.stringMatching(new RegExp(`<${errorMessages.blankLines}>`))
+              [
+                "--- a/examples/testTrailingCommas.md",
+                "+++ b/examples/testTrailingCommas.md",
+                "@@ -1,4 +1,4 @@ no-trailing-commas",
+                " ---",
+                " test:",
+                "-  - test,",
+                "+  - test",
+                " ---\n",
+              ].join("\n")
             );
+            expect(result.output).toBe("---\ntest:\n  - test\n---\n\nTest");
+            expect(result.fixes).toEqual([
+              {
+                oldStart: 1,
+                oldLines: 4,
+                newStart: 1,
+                newLines: 4,
+                ruleIds: ["no-trailing-commas"],
+              },
+            ]);
             expect(errorNumber).toBe(1);
-            expect(warningNumber).toBe(0);
           })
           .then(resolve)
           .catch(reject);
       });
     });
 
-    it("should remove the cwd from path if it was included", () => {
+    it("should show fixes far apart in large documents as separate hunks", () => {
+      const { lintFile } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+      const items = Array.from({ length: 20000 }, (_, i) => `key${i}: value${i}`);
+      const text = ['first: "a"', ...items, 'last: "b"', ""].join("\n");
+
+      return lintFile("data.yml", text, args, { ...mockConfig, requiredAttributes: [] }).then(
+        ({ fixes }) => {
+          expect(fixes).toEqual([
+            { oldStart: 1, oldLines: 4, newStart: 1, newLines: 4, ruleIds: ["no-quotes"] },
+            { oldStart: 19999, oldLines: 5, newStart: 19999, newLines: 5, ruleIds: ["no-quotes"] },
+          ]);
+        }
+      );
+    });
+
+    it("should include the fixed output in the JSON report if given the --fix-dry-run flag", () => {
       const { run } = require("../index");
 
       process.argv = [
         "node",
         "index.js",
-        `${process.cwd().replace(/\\/g, "/")}/examples/testBadFormat.md`,
-        "-o",
+        "examples/testQuotes.md",
+        "--fix-dry-run",
+        "--format=json",
       ];
 
       return new Promise((resolve, reject) => {
         run()
-          .then(({ args }) => {
-            expect(args.path).toBe("examples/testBadFormat.md");
+          .then(() => {
+            const [file] = JSON.parse(console.log.mock.calls[0][0]).files;
+            expect(file.output).toBe("---\ntest: test\n---\n\nTest");
+            expect(file.diff).toMatch(/@@ -1,3 \+1,3 @@ no-quotes/);
+            expect(file.fixes[0].ruleIds).toEqual(["no-quotes"]);
           })
           .then(resolve)
           .catch(reject);
       });
     });
 
-    it("should show a 'No path argument found' error if no path is given", () => {
-      const { run } = require("../index");
+    it("should not fix rules turned off in config", () => {
+      const { lintFile } = require("../index");
+      const { writeFileSync } = require("fs");
 
-      process.argv = ["node", "index.js"];
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
+      const text = '---\ntest: "test"\nlist:\n  - a,\n---\n';
+      const config = { ...mockConfig, rules: { "no-quotes": "off" } };
 
       return new Promise((resolve, reject) => {
-        run()
+        lintFile("test.md", text, { ...mockArgs, fix: true }, config)
           .then(() => {
-            expect(console.log).toHaveBeenCalledWith(
-              expect.stringMatching(/No path argument found/)
+            expect(writeFileSync).toHaveBeenCalledWith(
+              "test.md",
+              '---\ntest: "test"\nlist:\n  - a\n---\n'
             );
           })
           .then(resolve)
@@ -848,35 +1277,617 @@ describe("yaml-fm-lint", () => {
       });
     });
 
-    it("should show the number of warnings found", () => {
-      const { run } = require("../index");
+    it("should find front matter behind a BOM and keep the BOM and CRLF line endings when fixing", () => {
+      const { lintFile } = require("../index");
+      const { writeFileSync } = require("fs");
 
-      process.argv = ["node", "index.js", "examples/testWhitespace.md"];
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
 
-      return new Promise((resolve, reject) => {
-        run()
-          .then(({ warningNumber, errorNumber }) => {
-            expect(warningNumber).toBe(2);
-            expect(errorNumber).toBe(0);
-            expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/2 warnings found/));
-          })
-          .then(resolve)
-          .catch(reject);
-      });
+      const text = '\uFEFF---\r\ntest: "test"\r\n---\r\n\r\nTest\r\n';
+
+      return lintFile("test.md", text, { ...mockArgs, fix: true }, mockConfig).then(
+        ({ fileErrors }) => {
+          expect(fileErrors).toBe(0);
+          expect(writeFileSync).toHaveBeenCalledWith(
+            "test.md",
+            "\uFEFF---\r\ntest: test\r\n---\r\n\r\nTest\r\n"
+          );
+        }
+      );
     });
 
-    it("should show colored output by default", () => {
-      const { run } = require("../index");
-      jest.mock("chalk", () => ({
-        ...jest.requireActual("chalk"),
-        green: jest.fn((msg) => `chalk.green ${msg}`),
-        red: jest.fn((msg) => `chalk.red ${msg}`),
-        yellow: jest.fn((msg) => `chalk.yellow ${msg}`),
-      }));
+    it("should report and fix line endings with the end-of-line rule", () => {
+      const { lintFile, errorMessages } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+      const config = { ...mockConfig, rules: { "end-of-line": "error" } };
 
-      process.argv = ["node", "index.js", "examples/testPassing.md"];
+      return Promise.all([
+        lintFile("test.md", "---\r\ntest: a\r\n---\r\nTest", args, { ...config, endOfLine: "lf" }),
+        lintFile("test.md", "---\ntest: a\r\n---\nTest", args, config),
+      ]).then(([lf, auto]) => {
+        expect(lf.errors[errorMessages.endOfLine]).toEqual([1, 2, 3]);
+        expect(lf.output).toBe("---\ntest: a\n---\nTest");
+        expect(lf.fixes[0].ruleIds).toEqual(["end-of-line"]);
+        expect(auto.errors[errorMessages.endOfLine]).toEqual([2]);
+        expect(auto.output).toBe("---\ntest: a\n---\nTest");
+      });
+    });
 
-      return new Promise((resolve, reject) => {
+    it("should only fix the line endings of the front matter with the end-of-line rule", () => {
+      const { lintFile } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+      const config = { ...mockConfig, rules: { "end-of-line": "error" }, endOfLine: "lf" };
+      const text = '---\r\ntest: "a"\r\n---\r\nTest\r\nmore\n';
+
+      return lintFile("test.md", text, args, config).then(({ output }) => {
+        expect(output).toBe("---\ntest: a\n---\nTest\r\nmore\n");
+      });
+    });
+
+    it("should keep the line ending of each line when fixing without the end-of-line rule", () => {
+      const { lintFile } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+      const text = '---\r\ntest: "a"\ntags: [a, b]\r\n---\nTest\r\n';
+
+      return lintFile("test.md", text, args, mockConfig).then(({ output }) => {
+        expect(output).toBe("---\r\ntest: a\ntags:\r\n  - a\r\n  - b\r\n---\nTest\r\n");
+      });
+    });
+
+    it("should read and write files with the encoding from the config", () => {
+      const { lintFile } = require("../index");
+      const { writeFileSync } = require("fs");
+
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
+      const fs = jest.requireActual("fs");
+      const dir = fs.mkdtempSync(require("path").join(require("os").tmpdir(), "fmlint-"));
+      const file = `${dir}/test.md`;
+      fs.writeFileSync(file, '\uFEFF---\r\ntest: "test"\r\n---\r\n', "utf16le");
+
+      return lintFile(
+        file,
+        undefined,
+        { ...mockArgs, fix: true },
+        {
+          ...mockConfig,
+          encoding: "utf16le",
+        }
+      )
+        .then(({ fileErrors }) => {
+          expect(fileErrors).toBe(0);
+          expect(writeFileSync).toHaveBeenCalledWith(
+            file,
+            "\uFEFF---\r\ntest: test\r\n---\r\n",
+            "utf16le"
+          );
+        })
+        .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    it("should lint stdin with the config of the directory given in --stdin-filename", () => {
+      process = { ...process, stdin: Readable.from(["---\ntitle: test\n---\n"]) };
+      process.argv = [
+        "node",
+        "index.js",
+        "--stdin",
+        "--stdin-filename=examples/nested/config/page.md",
+      ];
+      const { run } = require("../index");
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ errorNumber }) => {
+            expect(errorNumber).toBe(1);
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(
+                /missing required attributes.+examples\/nested\/config\/page\.md: nested/
+              )
+            );
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should write the fixed stdin content to stdout if given the --fix flag", () => {
+      const text = '---\ntitle: "test"\n---\n\nTest';
+      process = { ...process, stdin: Readable.from([text]) };
+      process.argv = ["node", "index.js", "--stdin", "--fix"];
+      const write = jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+      const { run } = require("../index");
+      const { writeFileSync } = require("fs");
+
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            expect(write).toHaveBeenCalledWith("---\ntitle: test\n---\n\nTest");
+            expect(writeFileSync).not.toHaveBeenCalled();
+            expect(console.log).not.toHaveBeenCalled();
+          })
+          .then(() => write.mockRestore())
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should write the fixed stdin content to stdout when run in GitHub Actions", () => {
+      const text = '---\ntitle: "test"\n---\n\nTest';
+      process = { ...process, stdin: Readable.from([text]) };
+      process.env.GITHUB_ACTIONS = "true";
+      process.argv = ["node", "index.js", "--stdin", "--fix"];
+      const write = jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+      const { run } = require("../index");
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ args }) => {
+            expect(args.format).toBe("github");
+            expect(write).toHaveBeenCalledWith("---\ntitle: test\n---\n\nTest");
+            expect(console.log).not.toHaveBeenCalled();
+          })
+          .then(() => write.mockRestore())
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should lint every path argument once and sum up the results", () => {
+      process.argv = [
+        "node",
+        "index.js",
+        "examples/testPassing.md",
+        "examples/testQuotes.md",
+        "examples/testPassing.md",
+        "--format=json",
+      ];
+      const { run } = require("../index");
+
+      return run().then(({ errorNumber, args }) => {
+        expect(args.paths).toEqual(["examples/testPassing.md", "examples/testQuotes.md"]);
+        expect(errorNumber).toBe(2);
+        const { files } = JSON.parse(console.log.mock.calls[0][0]);
+        expect(files.map(({ filePath }) => filePath)).toEqual([
+          "examples/testPassing.md",
+          "examples/testQuotes.md",
+        ]);
+      });
+    });
+
+    it("should report a missing path as an error and still lint the other paths", () => {
+      const { main } = require("../index");
+      const args = { ...mockArgs, paths: ["examples/testQuotes.md", "examples/nonexistent.md"] };
+
+      return main(args, mockConfig).then(({ errors, errorNumber }) => {
+        expect(errors.map(({ filePath }) => filePath)).toEqual([
+          "examples/testQuotes.md",
+          "examples/nonexistent.md",
+        ]);
+        expect(errors[1].errors).toEqual({ pathNotFound: true });
+        expect(errorNumber).toBe(3);
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(/<file or directory not found> examples\/nonexistent\.md/)
+        );
+      });
+    });
+
+    it("should report a file with an invalid extension as an error and still lint the other paths", () => {
+      process.argv = [
+        "node",
+        "index.js",
+        "examples/testQuotes.md",
+        "package.json",
+        "--format=json",
+      ];
+      const { run } = require("../index");
+
+      return run().then(({ errorNumber }) => {
+        expect(errorNumber).toBe(3);
+        const { files } = JSON.parse(console.log.mock.calls[0][0]);
+        expect(files.map(({ filePath }) => filePath)).toEqual([
+          "examples/testQuotes.md",
+          "package.json",
+        ]);
+        expect(files[0].messages.length).toBe(2);
+        expect(files[1].messages).toEqual([
+          expect.objectContaining({ message: "file does not have a valid extension" }),
+        ]);
+      });
+    });
+
+    it("should lint files matched by several paths and glob patterns only once", () => {
+      const { main } = require("../index");
+      const args = {
+        ...mockArgs,
+        quiet: true,
+        paths: ["examples/testQuotes.md", "./examples/test*s.md", "examples/glob"],
+      };
+
+      return main(args, mockConfig).then(({ errors }) => {
+        const filePaths = errors.map(({ filePath }) => filePath);
+        expect(filePaths).toContain("examples/testQuotes.md");
+        expect(filePaths).toContain("examples/glob/testQuotes.md");
+        expect(filePaths.length).toBe(new Set(filePaths).size);
+      });
+    });
+
+    it("should display errors on a single line if given the '--oneline' flag", () => {
+      const { main } = require("../index");
+      const args = {
+        ...mockArgs,
+        path: "examples/testNoYaml.md",
+        oneline: true,
+      };
+
+      return new Promise((resolve, reject) => {
+        main(args, mockConfig)
+          .then(({ errorNumber, warningNumber }) => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(/<front matter not found>/)
+            );
+            expect(errorNumber).toBe(1);
+            expect(warningNumber).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should display 'no brackets' error on a single line if given the '--oneline' flag", () => {
+      const { main, errorMessages } = require("../index");
+      const args = {
+        ...mockArgs,
+        path: "examples/testBrackets.md",
+        oneline: true,
+      };
+
+      return new Promise((resolve, reject) => {
+        main(args, mockConfig)
+          .then(({ errorNumber, warningNumber }) => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(new RegExp(`<${errorMessages.brackets}>`))
+            );
+            expect(errorNumber).toBe(2);
+            expect(warningNumber).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should display 'no empty lines' error on a single line if given the '--oneline' flag", () => {
+      const { main, errorMessages } = require("../index");
+      const args = {
+        ...mockArgs,
+        path: "examples/testBlankLines.md",
+        oneline: true,
+      };
+
+      return new Promise((resolve, reject) => {
+        main(args, mockConfig)
+          .then(({ errorNumber, warningNumber }) => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(new RegExp(`<${errorMessages.blankLines}>`))
+            );
+            expect(errorNumber).toBe(1);
+            expect(warningNumber).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should only print a JSON report if given the '--format=json' flag", () => {
+      const { run, errorMessages } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/glob", "--format=json"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ errorNumber }) => {
+            expect(console.time).not.toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledTimes(1);
+
+            const report = JSON.parse(console.log.mock.calls[0][0]);
+            expect(report.errorCount).toBe(errorNumber);
+            expect(report.files.map(({ filePath }) => filePath).sort()).toEqual([
+              "examples/glob/testBlankLines.md",
+              "examples/glob/testQuotes.md",
+            ]);
+            expect(
+              report.files.find(({ filePath }) => filePath.endsWith("testQuotes.md")).messages
+            ).toEqual([
+              {
+                ruleId: "no-quotes",
+                severity: "error",
+                message: errorMessages.quotes,
+                row: 2,
+                col: 8,
+                fixable: true,
+              },
+              {
+                ruleId: "no-quotes",
+                severity: "error",
+                message: errorMessages.quotes,
+                row: 2,
+                col: 13,
+                fixable: true,
+              },
+            ]);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    itWithToml("should not count errors in TOML front matter as fixable in the JSON report", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/testToml.md", "--format=json"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            const report = JSON.parse(console.log.mock.calls[0][0]);
+            const messages = report.files[0].messages;
+
+            expect(messages).toContainEqual(
+              expect.objectContaining({ ruleId: "no-trailing-spaces", severity: "error" })
+            );
+            expect(messages.filter(({ fixable }) => fixable)).toEqual([]);
+            expect(report.fixableErrorCount).toBe(0);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should print a SARIF log if given the '--format=sarif' flag", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/testBadFormat.md", "--format=sarif"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            expect(console.log).toHaveBeenCalledTimes(1);
+
+            const log = JSON.parse(console.log.mock.calls[0][0]);
+            expect(log.version).toBe("2.1.0");
+            expect(log.runs[0].tool.driver.rules).toEqual([
+              expect.objectContaining({
+                id: "bad-indentation-of-a-mapping-entry",
+                shortDescription: { text: "bad indentation of a mapping entry" },
+              }),
+            ]);
+            expect(log.runs[0].results[0]).toEqual(
+              expect.objectContaining({
+                ruleId: "bad-indentation-of-a-mapping-entry",
+                ruleIndex: 0,
+                level: "error",
+                locations: [
+                  {
+                    physicalLocation: {
+                      artifactLocation: {
+                        uri: "examples/testBadFormat.md",
+                        uriBaseId: "%SRCROOT%",
+                      },
+                      region: { startLine: 4, startColumn: 3 },
+                    },
+                  },
+                ],
+              })
+            );
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should use the 'none' SARIF level for rules which are off by default", () => {
+      const { formatters } = require("../formatters");
+      const { errorMessages } = require("../index");
+
+      const log = JSON.parse(
+        formatters.sarif([
+          {
+            filePath: "test.md",
+            fileErrors: 1,
+            fileWarnings: 0,
+            errors: { [errorMessages.endOfLine]: [2] },
+            warnings: {},
+            ruleIds: { [errorMessages.endOfLine]: "end-of-line" },
+          },
+        ])
+      );
+
+      expect(log.runs[0].tool.driver.rules[0].defaultConfiguration).toEqual({ level: "none" });
+      expect(log.runs[0].results[0].level).toBe("error");
+    });
+
+    it("should print a JUnit report if given the '--format=junit' flag", () => {
+      const { run, errorMessages } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/glob", "--format=junit"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            expect(console.log).toHaveBeenCalledTimes(1);
+
+            const report = console.log.mock.calls[0][0];
+            expect(report).toMatch(
+              /<testsuites name="yaml-fm-lint" tests="2" failures="2" errors="0">/
+            );
+            expect(report).toMatch(/<testsuite name="examples\/glob" tests="2" failures="2"/);
+            expect(report).toMatch(
+              /<testcase name="examples\/glob\/testQuotes.md" classname="examples\/glob">/
+            );
+            expect(report.match(/<failure /g).length).toBe(2);
+            expect(report).toContain(
+              [
+                `<failure message="2 errors found" type="error">examples/glob/testQuotes.md:2:8 ${errorMessages.quotes} (no-quotes)`,
+                `examples/glob/testQuotes.md:2:13 ${errorMessages.quotes} (no-quotes)</failure>`,
+              ].join("\n")
+            );
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should report warnings as JUnit test case properties", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/testCommas.md", "--format=junit"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            const report = console.log.mock.calls[0][0];
+            expect(report).toMatch(/<testsuites name="yaml-fm-lint" tests="1" failures="0"/);
+            expect(report).toMatch(
+              /<property name="warning" value="examples\/testCommas.md:2:12 possibly unintended commas \(warn-commas\)" \/>/
+            );
+            expect(report).not.toMatch(/<failure/);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should print GitHub Actions workflow commands when run in GitHub Actions", () => {
+      const { run } = require("../index");
+
+      process.env.GITHUB_ACTIONS = "true";
+      process.argv = ["node", "index.js", "examples/testWhitespace.md"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ args }) => {
+            expect(args.format).toBe("github");
+            expect(console.log).toHaveBeenCalledTimes(1);
+            expect(console.log.mock.calls[0][0].split("\n")).toEqual([
+              "::warning file=examples/testWhitespace.md,line=2,col=12,endColumn=13,title=no-repeating-spaces::possibly unintended whitespace",
+              "::warning file=examples/testWhitespace.md,line=2,col=6,endColumn=7,title=no-repeating-spaces::possibly unintended whitespace",
+            ]);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should not use GitHub Actions workflow commands if another format is given", () => {
+      const { run } = require("../index");
+
+      process.env.GITHUB_ACTIONS = "true";
+      process.argv = ["node", "index.js", "examples/testWhitespace.md", "--format=text"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ args }) => {
+            expect(args.format).toBe("text");
+            expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/2 warnings found/));
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should give 'invalid argument' error if given an unknown format", () => {
+      process.argv = ["node", "index.js", "examples/testPassing.md", "--format=xml"];
+      const { run } = require("../index");
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(/Invalid argument.+--format=xml/)
+            );
+            expect(process.exitCode).toBe(9);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should remove the cwd from path if it was included", () => {
+      const { run } = require("../index");
+
+      process.argv = [
+        "node",
+        "index.js",
+        `${process.cwd().replace(/\\/g, "/")}/examples/testBadFormat.md`,
+        "-o",
+      ];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ args }) => {
+            expect(args.path).toBe("examples/testBadFormat.md");
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should show a 'No path argument found' error if no path is given", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(() => {
+            expect(console.log).toHaveBeenCalledWith(
+              expect.stringMatching(/No path argument found/)
+            );
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should show the number of warnings found", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/testWhitespace.md"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ warningNumber, errorNumber }) => {
+            expect(warningNumber).toBe(2);
+            expect(errorNumber).toBe(0);
+            expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/2 warnings found/));
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should show colored output by default", () => {
+      const { run } = require("../index");
+      jest.mock("chalk", () => ({
+        ...jest.requireActual("chalk"),
+        green: jest.fn((msg) => `chalk.green ${msg}`),
+        red: jest.fn((msg) => `chalk.red ${msg}`),
+        yellow: jest.fn((msg) => `chalk.yellow ${msg}`),
+      }));
+
+      process.argv = ["node", "index.js", "examples/testPassing.md"];
+
+      return new Promise((resolve, reject) => {
         run()
           .then(({ args }) => {
             expect(args.colored).toBe(true);
@@ -1014,6 +2025,127 @@ describe("yaml-fm-lint", () => {
       });
     });
 
+    it("testSchema.md should return schema violations at the offending attributes", () => {
+      const { lintFile } = require("../index");
+      const file = "examples/testSchema.md";
+      const fileContents = require("fs").readFileSync(file, "utf8");
+      const config = { ...mockConfig, requiredAttributes: [], schema: "examples/schema.json" };
+
+      return new Promise((resolve, reject) => {
+        lintFile(file, fileContents, mockArgs, config)
+          .then(({ fileErrors, errors, ruleIds }) => {
+            expect(fileErrors).toBe(5);
+            expect(errors["front matter must have required property 'description'"]).toEqual([
+              { row: 1, col: 1, colStart: 0, colEnd: 3 },
+            ]);
+            expect(errors["draft must be boolean"]).toEqual([
+              { row: 3, col: 1, colStart: 0, colEnd: 5 },
+            ]);
+            expect(errors["tags[1] must be string"]).toEqual([
+              { row: 7, col: 3, colStart: 2, colEnd: 5 },
+            ]);
+            expect(errors["author.name must NOT have fewer than 3 characters"]).toEqual([
+              { row: 9, col: 3, colStart: 2, colEnd: 6 },
+            ]);
+            expect(errors['author.email must match pattern "@"']).toEqual([
+              { row: 10, col: 3, colStart: 2, colEnd: 7 },
+            ]);
+            expect(ruleIds["draft must be boolean"]).toBe("schema");
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should accept an inline schema and report violations as warnings if configured", () => {
+      const { lintFile } = require("../index");
+      const file = "examples/testPassing.md";
+      const fileContents = require("fs").readFileSync(file, "utf8");
+      const config = {
+        ...mockConfig,
+        schema: { properties: { test: { enum: ["a", "b"] } } },
+        rules: { schema: "warning" },
+      };
+
+      return new Promise((resolve, reject) => {
+        lintFile(file, fileContents, mockArgs, config)
+          .then(({ fileErrors, fileWarnings, warnings }) => {
+            expect(fileErrors).toBe(0);
+            expect(fileWarnings).toBe(1);
+            expect(warnings["test must be equal to one of the allowed values"]).toEqual([
+              { row: 2, col: 1, colStart: 0, colEnd: 4 },
+            ]);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should validate string formats from the schema", () => {
+      const { lintFile } = require("../index");
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const config = {
+        ...mockConfig,
+        requiredAttributes: [],
+        schema: { properties: { date: { type: "string", format: "date" } } },
+      };
+
+      return Promise.all([
+        lintFile("valid.md", "---\ndate: 2024-01-02\n---\n", mockArgs, config),
+        lintFile("invalid.md", "---\ndate: 2024-13-02\n---\n", mockArgs, config),
+      ]).then(([valid, invalid]) => {
+        expect(valid.fileErrors).toBe(0);
+        expect(invalid.errors['date must match format "date"']).toEqual([
+          { row: 2, col: 1, colStart: 0, colEnd: 4 },
+        ]);
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+      });
+    });
+
+    it("should validate attributes from merge keys and explicit timestamps", () => {
+      const { lintFile } = require("../index");
+      const config = {
+        ...mockConfig,
+        requiredAttributes: [],
+        schema: {
+          properties: {
+            page: { type: "object", required: ["title"] },
+            date: { type: "string", format: "date" },
+          },
+        },
+      };
+      const text =
+        "---\nbase: &base\n  title: a\npage:\n  <<: *base\ndate: !!timestamp 2024-01-02\n---\n";
+
+      return lintFile("merge.md", text, mockArgs, config).then(({ fileErrors }) => {
+        expect(fileErrors).toBe(0);
+      });
+    });
+
+    it("should validate files against inline schemas with an $id from re-resolved configs", () => {
+      const { lintFile } = require("../index");
+      const getConfig = (type) => ({
+        ...mockConfig,
+        requiredAttributes: [],
+        schema: { $id: "https://example.com/fm.json", properties: { test: { type } } },
+      });
+
+      return Promise.all([
+        lintFile("a.md", "---\ntest: a\n---\n", mockArgs, getConfig("string")),
+        lintFile("b.md", "---\ntest: 1\n---\n", mockArgs, getConfig("string")),
+        lintFile("c.md", "---\ntest: a\n---\n", mockArgs, getConfig("number")),
+      ]).then(([a, b, c]) => {
+        expect(a.fileErrors).toBe(0);
+        expect(b.errors["test must be string"]).toEqual([
+          { row: 2, col: 1, colStart: 0, colEnd: 4 },
+        ]);
+        expect(c.errors["test must be number"]).toEqual([
+          { row: 2, col: 1, colStart: 0, colEnd: 4 },
+        ]);
+      });
+    });
+
     it("testBadFormat.md should return a 'bad mapping entry' custom error", () => {
       const { lintFile } = require("../index");
       const file = "examples/testBadFormat.md";
@@ -1028,5 +2160,606 @@ describe("yaml-fm-lint", () => {
           .catch(reject);
       });
     });
+
+    itWithToml(
+      "testToml.md should return TOML problems and pass the attributes to custom linters",
+      () => {
+        const { lintFile, errorMessages, warningMessages } = require("../index");
+        const file = "examples/testToml.md";
+        const fileContents = require("fs").readFileSync(file, "utf8");
+        const extraLintFn = jest.fn(() => ({ errors: 0, warnings: 0 }));
+        const config = {
+          ...mockConfig,
+          requiredAttributes: ["title", "author"],
+          extraLintFns: [extraLintFn],
+        };
+
+        return lintFile(file, fileContents, mockArgs, config).then(({ errors, warnings }) => {
+          expect(errors[errorMessages.missingAttributes]).toEqual(["author"]);
+          expect(errors[errorMessages.blankLines]).toEqual([7]);
+          expect(errors[errorMessages.spacesAroundEquals]).toEqual([
+            { row: 5, col: 6, colStart: 5, colEnd: 6 },
+          ]);
+          expect(errors[errorMessages.trailingSpaces].length).toBe(1);
+          expect(errors[errorMessages.quotes]).toBeUndefined();
+          expect(errors[errorMessages.brackets]).toBeUndefined();
+          expect(warnings[warningMessages.repeatingSpaces].length).toBe(1);
+          expect(extraLintFn.mock.calls[0][0].attributes).toMatchObject({
+            title: "Hugo page",
+            tags: ["hugo", "toml"],
+            draft: false,
+            params: { author: "Jane" },
+          });
+        });
+      }
+    );
+
+    itWithToml(
+      "should return TOML syntax errors as custom errors and schema violations at TOML keys",
+      () => {
+        const { lintFile } = require("../index");
+        const schema = {
+          type: "object",
+          properties: { params: { type: "object", properties: { author: { type: "number" } } } },
+        };
+
+        return Promise.all([
+          lintFile("page.md", '+++\ntitle = "a"\ntags = [\n+++\n', mockArgs, mockConfig),
+          lintFile("page.md", '+++\ntest = 1\n[params]\n  author = "Jane"\n+++\n', mockArgs, {
+            ...mockConfig,
+            schema,
+          }),
+        ]).then(([invalid, withSchema]) => {
+          expect(invalid.errors.customError).toMatchObject({
+            message: expect.stringMatching(/Invalid TOML document/),
+            row: 3,
+          });
+          expect(withSchema.errors["params.author must be number"]).toEqual([
+            { row: 4, col: 3, colStart: 2, colEnd: 8 },
+          ]);
+        });
+      }
+    );
+
+    it("testJson.md should return JSON problems and pass the attributes to custom linters", () => {
+      const { lintFile, errorMessages } = require("../index");
+      const file = "examples/testJson.md";
+      const fileContents = require("fs").readFileSync(file, "utf8");
+      const extraLintFn = jest.fn(() => ({ errors: 0, warnings: 0 }));
+      const config = {
+        ...mockConfig,
+        requiredAttributes: ["title", "author"],
+        extraLintFns: [extraLintFn],
+      };
+
+      return lintFile(file, fileContents, mockArgs, config).then(({ errors, fileWarnings }) => {
+        expect(errors[errorMessages.missingAttributes]).toEqual(["author"]);
+        expect(errors[errorMessages.blankLines]).toEqual([5]);
+        expect(errors[errorMessages.trailingSpaces]).toEqual([
+          { row: 4, col: 19, colStart: 17, colEnd: 19 },
+        ]);
+        expect(errors[errorMessages.quotes]).toBeUndefined();
+        expect(fileWarnings).toBe(0);
+        expect(extraLintFn.mock.calls[0][0].attributes).toEqual({
+          title: "Generated page",
+          tags: ["json", "front matter"],
+          draft: false,
+          params: { author: "Jane" },
+        });
+      });
+    });
+
+    it("should return JSON syntax errors as custom errors and schema violations at JSON keys", () => {
+      const { lintFile } = require("../index");
+      const schema = {
+        type: "object",
+        properties: { tags: { type: "array", items: { type: "string" } } },
+      };
+
+      return Promise.all([
+        lintFile("page.md", ';;;\n{\n  "test": "a"\n  "b": 1\n}\n;;;\n', mockArgs, mockConfig),
+        lintFile("page.md", '{\n  "test": "a",\n  "tags": ["a", 2]\n}\n', mockArgs, {
+          ...mockConfig,
+          schema,
+        }),
+      ]).then(([invalid, withSchema]) => {
+        expect(invalid.errors.customError).toEqual({
+          message: "unexpected '\"', expected ',' or '}'",
+          row: 4,
+          col: 3,
+        });
+        expect(withSchema.errors["tags[1] must be string"]).toEqual([
+          { row: 3, col: 17, colStart: 16, colEnd: 17 },
+        ]);
+      });
+    });
+
+    it("yaml/data.yml should be linted as a whole document with the rows of the file", () => {
+      const { lintFile, errorMessages } = require("../index");
+      const file = "examples/yaml/data.yml";
+      const fileContents = require("fs").readFileSync(file, "utf8");
+      const extraLintFn = jest.fn(() => ({ errors: 0, warnings: 0 }));
+      const config = {
+        ...mockConfig,
+        requiredAttributes: ["title", "layout"],
+        extraLintFns: [extraLintFn],
+        schema: { type: "object", properties: { title: { type: "number" } } },
+      };
+
+      return lintFile(file, fileContents, mockArgs, config).then(({ errors }) => {
+        expect(errors[errorMessages.missingAttributes]).toEqual(["layout"]);
+        expect(errors[errorMessages.blankLines]).toEqual([6]);
+        expect(errors[errorMessages.quotes]).toEqual([
+          { row: 1, col: 9 },
+          { row: 1, col: 20 },
+        ]);
+        expect(errors[errorMessages.spacesBeforeColon]).toEqual([
+          { row: 4, col: 12, colStart: 10, colEnd: 11 },
+        ]);
+        expect(errors["title must be number"]).toEqual([
+          { row: 1, col: 1, colStart: 0, colEnd: 5 },
+        ]);
+        expect(extraLintFn.mock.calls[0][0].attributes).toMatchObject({
+          title: "Navigation",
+          items: [{ name: "Home" }, { name: "About," }],
+        });
+      });
+    });
+
+    it("should lint YAML documents given as argument without their extension in the config", () => {
+      const { run } = require("../index");
+
+      process.argv = ["node", "index.js", "examples/yaml/data.yml", "-r"];
+
+      return new Promise((resolve, reject) => {
+        run()
+          .then(({ errorNumber }) => {
+            const output = console.log.mock.calls.map(([message]) => message).join("\n");
+
+            expect(errorNumber).toBeGreaterThan(0);
+            expect(output).toMatch(/examples\/yaml\/data\.yml:1:9/);
+            expect(output).toMatch(/^1 \| title: "Navigation"$/m);
+            expect(output).not.toMatch(/^0 \| /m);
+          })
+          .then(resolve)
+          .catch(reject);
+      });
+    });
+
+    it("should fix whole YAML documents and keep a missing final newline missing", () => {
+      const { lintFile } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+
+      return Promise.all([
+        lintFile("data.yml", 'title: "a"\ntags: [a, b]\n', args, mockConfig),
+        lintFile("data.yaml", "# fmlint-disable-file no-quotes\nlist :\n  - 'a'", args, mockConfig),
+      ]).then(([withNewline, withoutNewline]) => {
+        expect(withNewline.output).toBe("title: a\ntags:\n  - a\n  - b\n");
+        expect(withoutNewline.output).toBe("# fmlint-disable-file no-quotes\nlist:\n  - 'a'");
+      });
+    });
+
+    it("should report YAML files with several documents instead of merging them", () => {
+      const { lintFile } = require("../index");
+      const args = { ...mockArgs, fixDryRun: true, quiet: true };
+      const config = { ...mockConfig, requiredAttributes: [] };
+      const customError = {
+        message: "multiple YAML documents in one file are not supported",
+        row: 3,
+        col: 1,
+      };
+
+      return Promise.all([
+        lintFile("data.yml", '---\ntitle: "a"\n---\ntitle: b\n', args, config),
+        lintFile("data.yml", "title: a\n...\ntags: [a]\n", args, config),
+        lintFile("data.yml", "%YAML 1.2\n---\ntitle: a\n...\n", args, config),
+      ]).then(([dashes, dots, single]) => {
+        expect(dashes.errors).toEqual({ customError });
+        expect(dashes.output).toBeUndefined();
+        expect(dots.errors).toEqual({ customError });
+        expect(single.fileErrors).toBe(0);
+      });
+    });
+  });
+
+  describe("createLinter() tests: ", () => {
+    it("should return the same counts when linting the same text repeatedly or concurrently", () => {
+      const { createLinter } = require("../index");
+      const linter = createLinter(mockConfig);
+      const text = '---\ntest: "test"\n---\n';
+
+      return Promise.all([linter.lintText(text), linter.lintText(text)])
+        .then((results) => Promise.all([...results, linter.lintText(text, "page.md")]))
+        .then((results) => {
+          results.forEach(({ fileErrors, fileWarnings }) => {
+            expect(fileErrors).toBe(2);
+            expect(fileWarnings).toBe(0);
+          });
+          expect(results[2].filePath).toBe("page.md");
+          expect(console.log).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should count only the files of each lintFiles() call", () => {
+      const { createLinter } = require("../index");
+      const linter = createLinter(mockConfig);
+      const patterns = ["examples/glob/*.md", "examples/testPassing.md"];
+
+      return Promise.all([linter.lintFiles(patterns), linter.lintFiles(patterns)]).then(
+        ([first, second]) => {
+          expect(first.results.map(({ filePath }) => filePath).sort()).toEqual([
+            "examples/glob/testBlankLines.md",
+            "examples/glob/testQuotes.md",
+            "examples/testPassing.md",
+          ]);
+          expect(first.errorNumber).toBeGreaterThan(0);
+          expect(second.errorNumber).toBe(first.errorNumber);
+          expect(second.warningNumber).toBe(first.warningNumber);
+          expect(second.fixableErrors).toBe(first.fixableErrors);
+        }
+      );
+    });
+
+    it("should return fixed text without writing files", () => {
+      const { createLinter } = require("../index");
+      const { writeFileSync } = require("fs");
+
+      jest.mock("fs", () => ({
+        ...jest.requireActual("fs"),
+        writeFileSync: jest.fn(),
+      }));
+
+      const linter = createLinter(mockConfig);
+
+      return Promise.all([
+        linter.fixText('---\ntest: "test"\n---\n\nContent'),
+        linter.fixText("No front matter"),
+      ]).then(([fixed, unchanged]) => {
+        expect(fixed.output).toBe("---\ntest: test\n---\n\nContent");
+        expect(fixed.fileErrors).toBe(0);
+        expect(unchanged.output).toBe("No front matter");
+        expect(writeFileSync).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe("watch() tests: ", () => {
+    const fs = jest.requireActual("fs");
+    const os = require("os");
+    const path = require("path");
+    let dir;
+    let watcher;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "fmlint-")).replace(/\\/g, "/");
+      fs.mkdirSync(`${dir}/sub`);
+      fs.writeFileSync(`${dir}/page.md`, "---\ntest: test\n---\n");
+      fs.writeFileSync(`${dir}/sub/page.md`, '---\ntest: "test"\n---\n');
+    });
+
+    afterEach(() => {
+      if (watcher) watcher.close();
+      watcher = undefined;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const nextLint = () => new Promise((resolve) => watcher.once("lint", resolve));
+
+    it("should re-lint changed files and keep a summary of all files", () => {
+      const { watch } = require("../index");
+      const args = { ...mockArgs, path: dir, recursive: true, oneline: true };
+
+      return watch(args, mockConfig)
+        .then((w) => {
+          watcher = w;
+          expect(console.log).toHaveBeenLastCalledWith(
+            expect.stringMatching(/2 files linted.+2 errors.+in 1 file\. Watching for changes/)
+          );
+
+          const lint = nextLint();
+          fs.writeFileSync(`${dir}/page.md`, "---\ntest: test \n---\n");
+          return lint;
+        })
+        .then((summary) => {
+          expect(summary).toEqual({ lintedFiles: 1, errorNumber: 3, warningNumber: 0, files: 2 });
+
+          const lint = nextLint();
+          fs.rmSync(`${dir}/sub/page.md`);
+          return lint;
+        })
+        .then((summary) => {
+          expect(summary).toEqual({ lintedFiles: 0, errorNumber: 1, warningNumber: 0, files: 1 });
+        });
+    });
+
+    it("should re-lint all files when a config file changes", () => {
+      const { watch } = require("../index");
+      const args = { ...mockArgs, path: dir, recursive: true, quiet: true };
+
+      return watch(args, mockConfig)
+        .then((w) => {
+          watcher = w;
+          const lint = nextLint();
+          fs.writeFileSync(`${dir}/sub/.yaml-fm-lint.json`, '{ "requiredAttributes": ["title"] }');
+          return lint;
+        })
+        .then((summary) => {
+          expect(summary).toEqual({ lintedFiles: 2, errorNumber: 3, warningNumber: 0, files: 1 });
+        });
+    });
+
+    it("should not re-lint for changes in node_modules", () => {
+      const { watch } = require("../index");
+      const args = { ...mockArgs, path: dir, recursive: true, quiet: true };
+      const onLint = jest.fn();
+      fs.mkdirSync(`${dir}/node_modules/pkg`, { recursive: true });
+
+      return watch(args, mockConfig)
+        .then((w) => {
+          watcher = w;
+          watcher.on("lint", onLint);
+          fs.writeFileSync(`${dir}/node_modules/pkg/package.json`, "{}");
+          return new Promise((resolve) => setTimeout(resolve, 300));
+        })
+        .then(() => {
+          expect(onLint).not.toHaveBeenCalled();
+          const lint = nextLint();
+          fs.writeFileSync(`${dir}/page.md`, "---\ntest: test \n---\n");
+          return lint;
+        })
+        .then((summary) => {
+          expect(summary).toEqual({ lintedFiles: 1, errorNumber: 3, warningNumber: 0, files: 2 });
+        });
+    });
+
+    it("should give 'invalid arguments' error if --watch is used with stdin", () => {
+      process.argv = ["node", "index.js", "--stdin", "--watch"];
+      const { run } = require("../index");
+
+      return run().then(() => {
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/Invalid arguments.+watch/));
+        expect(process.exitCode).toBe(9);
+      });
+    });
+  });
+
+  describe("cache tests: ", () => {
+    const fs = jest.requireActual("fs");
+    const os = require("os");
+    const path = require("path");
+    let dir;
+
+    beforeEach(() => {
+      jest.dontMock("fs");
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "fmlint-")).replace(/\\/g, "/");
+      fs.writeFileSync(`${dir}/page.md`, '---\ntest: "test"\n---\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should reuse the cached results of unchanged files", () => {
+      const { main } = require("../index");
+      const linter = jest.fn(() => ({ errors: 0, warnings: 0 }));
+      const config = { ...mockConfig, extraLintFns: [linter] };
+      const args = { ...mockArgs, path: `${dir}/page.md`, cache: true, cacheLocation: `${dir}/` };
+
+      return main(args, config)
+        .then((first) => {
+          expect(fs.existsSync(`${dir}/.fmlintcache`)).toBe(true);
+          const logged = console.log.mock.calls;
+          console.log.mockClear();
+
+          return main(args, config).then((second) => {
+            expect(linter).toHaveBeenCalledTimes(1);
+            expect(second.errorNumber).toBe(first.errorNumber);
+            expect(second.fixableErrors).toBe(first.fixableErrors);
+            expect(second.errors).toEqual(first.errors);
+            expect(console.log.mock.calls).toEqual(logged);
+          });
+        })
+        .then(() => {
+          fs.writeFileSync(`${dir}/page.md`, "---\ntest: test\n---\n");
+          return main(args, config);
+        })
+        .then(({ errorNumber }) => {
+          expect(linter).toHaveBeenCalledTimes(2);
+          expect(errorNumber).toBe(0);
+        });
+    });
+
+    it("should lint files again when the config changes", () => {
+      const { main } = require("../index");
+      const args = {
+        ...mockArgs,
+        path: `${dir}/page.md`,
+        cache: true,
+        cacheLocation: `${dir}/cache`,
+      };
+
+      return main(args, mockConfig)
+        .then(({ errorNumber }) => {
+          expect(errorNumber).toBe(2);
+          return main(args, { ...mockConfig, rules: { "no-quotes": "warning" } });
+        })
+        .then(({ errorNumber, warningNumber }) => {
+          expect(errorNumber).toBe(0);
+          expect(warningNumber).toBe(2);
+        });
+    });
+  });
+
+  describe("concurrency tests: ", () => {
+    it("should log the same results in the same order when linting in worker threads", () => {
+      const { main } = require("../index");
+      const args = { ...mockArgs, path: "examples", recursive: true, oneline: true };
+
+      return main(args, mockConfig).then((sequential) => {
+        const logged = console.log.mock.calls;
+        console.log.mockClear();
+
+        return main({ ...args, concurrency: 2 }, mockConfig).then((parallel) => {
+          expect(parallel.errorNumber).toBe(sequential.errorNumber);
+          expect(parallel.warningNumber).toBe(sequential.warningNumber);
+          expect(parallel.fixableErrors).toBe(sequential.fixableErrors);
+          expect(parallel.errors).toEqual(sequential.errors);
+          expect(console.log.mock.calls).toEqual(logged);
+        });
+      });
+    });
+
+    it("should log results from worker threads with the encoding of nested configs", () => {
+      const { main } = require("../index");
+      const fs = jest.requireActual("fs");
+      const dir = fs.mkdtempSync(require("path").join(require("os").tmpdir(), "fmlint-"));
+      fs.mkdirSync(`${dir}/utf16`);
+      fs.writeFileSync(`${dir}/utf16/.yaml-fm-lint.json`, '{ "encoding": "utf16le" }');
+      fs.writeFileSync(`${dir}/utf16/test.md`, '---\ntest: "test"\n---\n', "utf16le");
+      const args = { ...mockArgs, path: dir, recursive: true, concurrency: 2 };
+
+      return main(args, mockConfig)
+        .then(({ errorNumber }) => {
+          expect(errorNumber).toBe(2);
+          expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/2 \| test: "test"/));
+        })
+        .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    it("should lint in a single thread if custom linters are not set in a config file", () => {
+      const { main } = require("../index");
+      const extraLintFn = jest.fn(() => ({ errors: 0, warnings: 0 }));
+      const args = { ...mockArgs, path: "examples/glob", concurrency: 2 };
+
+      return main(args, { ...mockConfig, extraLintFns: [extraLintFn] }).then(() => {
+        expect(extraLintFn).toHaveBeenCalledTimes(2);
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(/^Linting in a single thread: custom linters/)
+        );
+      });
+    });
+
+    it("should give 'invalid argument' error if given an invalid concurrency", () => {
+      process.argv = ["node", "index.js", "examples", "--concurrency=none"];
+      const { run } = require("../index");
+
+      return run().then(() => {
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(/Invalid argument.+--concurrency=none/)
+        );
+        expect(process.exitCode).toBe(9);
+      });
+    });
+  });
+
+  describe("git tests: ", () => {
+    const fs = jest.requireActual("fs");
+    const os = require("os");
+    const path = require("path");
+    const { spawnSync, execFileSync } = require("child_process");
+    const cli = path.resolve(__dirname, "../index.js");
+    let dir;
+
+    const git = (...gitArgs) => execFileSync("git", gitArgs, { cwd: dir, stdio: "ignore" });
+    const commit = (message, ...paths) =>
+      git(
+        "-c",
+        "user.name=test",
+        "-c",
+        "user.email=test@example.com",
+        "commit",
+        "-qm",
+        message,
+        ...paths
+      );
+
+    // The CLI runs in its own process, because git lists the files of its working directory
+    const lint = (...argv) =>
+      spawnSync(process.execPath, [cli, ...argv, "--oneline"], {
+        cwd: dir,
+        encoding: "utf8",
+        timeout: 10000,
+      });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "fmlint-git-")).replace(/\\/g, "/");
+
+      git("init", "-q");
+      fs.writeFileSync(`${dir}/committed.md`, "---\ntest: test\n---\n");
+      fs.writeFileSync(`${dir}/unchanged.md`, '---\ntest: "test"\n---\n');
+      fs.writeFileSync(`${dir}/c.md`, '---\ntest: "c"\n---\n');
+      git("add", ".");
+      commit("init");
+
+      fs.mkdirSync(`${dir}/docs`);
+      fs.writeFileSync(`${dir}/committed.md`, '---\ntest: "changed"\n---\n');
+      fs.writeFileSync(`${dir}/docs/untracked.md`, '---\ntest: "new"\n---\n');
+      fs.writeFileSync(`${dir}/docs/staged.md`, '---\ntest: "staged"\n---\n');
+      fs.writeFileSync(`${dir}/docs/staged.txt`, '---\ntest: "staged"\n---\n');
+      git("add", "docs/staged.md", "docs/staged.txt");
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const lintedFiles = (stdout) => [...new Set(stdout.match(/[\w/]+\.(md|txt)(?=:)/g))].sort();
+
+    it("should lint the staged files with --staged", () => {
+      const { stdout, status } = lint("--staged");
+
+      expect(lintedFiles(stdout)).toEqual(["docs/staged.md"]);
+      expect(status).toBe(1);
+    });
+
+    it("should lint uncommitted and untracked files with --changed", () => {
+      const { stdout } = lint("--changed");
+
+      expect(lintedFiles(stdout)).toEqual(["committed.md", "docs/staged.md", "docs/untracked.md"]);
+    });
+
+    it("should lint the files differing from a ref with --since, inside the given path", () => {
+      const { stdout } = lint("docs", "--since=HEAD");
+
+      expect(lintedFiles(stdout)).toEqual(["docs/staged.md"]);
+    });
+
+    it("should leave out files changed only on the ref given to --since", () => {
+      git("checkout", "-q", "-b", "other");
+      fs.writeFileSync(`${dir}/c.md`, '---\ntest: "other"\n---\n');
+      // Only c.md is committed, the staged files stay in the index
+      commit("other", "--", "c.md");
+      git("checkout", "-q", "-");
+
+      const { stdout } = lint("--since=other");
+
+      expect(lintedFiles(stdout)).toEqual(["committed.md", "docs/staged.md"]);
+    });
+
+    it("should skip changed files excluded in the config", () => {
+      fs.writeFileSync(`${dir}/.yaml-fm-lint.json`, '{ "excludeFiles": ["staged.md"] }');
+      const { stdout } = lint("--changed");
+
+      expect(lintedFiles(stdout)).toEqual(["committed.md", "docs/untracked.md"]);
+    });
+
+    it("should give 'Git error' if --since is given an unknown ref", () => {
+      const { stdout, status } = lint("--since=unknown-ref");
+
+      expect(stdout).toMatch(/Git error:.+unknown-ref/);
+      expect(status).toBe(1);
+    });
+
+    it("should give 'invalid arguments' error if --staged is used with --watch", () => {
+      process.argv = ["node", "index.js", "--staged", "--watch"];
+      const { run } = require("../index");
+
+      return run().then(() => {
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringMatching(/Invalid arguments.+--staged/)
+        );
+        expect(process.exitCode).toBe(9);
+      });
+    });
   });
 });
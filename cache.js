@@ -0,0 +1,102 @@
+const { readFileSync, writeFileSync, existsSync, lstatSync } = require("fs");
+const { createHash } = require("crypto");
+const { version } = require("./package.json");
+
+/**
+ * @typedef {{ hash: string, configHash: string, result: import("./index.js").LintResult, fixableErrors: number }} CacheEntry
+ */
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function hash(str) {
+  return createHash("sha1").update(str).digest("hex");
+}
+
+/**
+ * Hashes everything in the config that changes the results: options, rule severities,
+ * the source of custom linters and the contents of the schema file.
+ * @param {import("./index.js").LintConfig} config
+ * @returns {string}
+ */
+function hashConfig(config) {
+  const schemaSource =
+    typeof config.schema === "string" && existsSync(config.schema)
+      ? readFileSync(config.schema, "utf8")
+      : "";
+
+  return hash(
+    JSON.stringify(config, (key, value) =>
+      typeof value === "function" ? value.toString() : value
+    ) + schemaSource
+  );
+}
+
+/**
+ * @param {string} location path to the cache file or a directory to put `.fmlintcache` in
+ * @returns {string} path to the cache file
+ */
+function getCacheFile(location) {
+  return /[\\/]$/.test(location) || (existsSync(location) && lstatSync(location).isDirectory())
+    ? `${location.replace(/[\\/]$/, "")}/.fmlintcache`
+    : location;
+}
+
+/**
+ * Loads the lint results of the previous run. Results of an older version of the linter are discarded.
+ * @param {string} location path to the cache file or a directory to put `.fmlintcache` in
+ * @param {object} [options] arguments which change the results, hashed together with the config
+ * @returns {{ get: (filePath: string, data: string, config: object) => CacheEntry | undefined, set: (filePath: string, data: string, config: object, entry: { result: object, fixableErrors: number }) => void, save: () => void }}
+ */
+function createCache(location = ".fmlintcache", options = {}) {
+  const cacheFile = getCacheFile(location);
+  /** @type {{[filePath: string]: CacheEntry}} */
+  let files = {};
+
+  try {
+    const cache = JSON.parse(readFileSync(cacheFile, "utf8"));
+    if (cache.version === version) files = cache.files;
+  } catch (e) {
+    // No cache yet or it cannot be read, so every file is linted
+  }
+
+  /** Config hashes, so configs shared by many files are only hashed once */
+  const configHashes = new WeakMap();
+
+  const getConfigHash = (config) => {
+    if (!configHashes.has(config)) {
+      configHashes.set(config, hash(hashConfig(config) + JSON.stringify(options)));
+    }
+    return configHashes.get(config);
+  };
+
+  return {
+    get(filePath, data, config) {
+      const entry = files[filePath];
+
+      return entry && entry.hash === hash(data) && entry.configHash === getConfigHash(config)
+        ? entry
+        : undefined;
+    },
+
+    set(filePath, data, config, { result, fixableErrors }) {
+      files[filePath] = {
+        hash: hash(data),
+        configHash: getConfigHash(config),
+        result,
+        fixableErrors,
+      };
+    },
+
+    save() {
+      Object.keys(files).forEach((filePath) => {
+        if (!existsSync(filePath)) delete files[filePath];
+      });
+
+      writeFileSync(cacheFile, JSON.stringify({ version, files }));
+    },
+  };
+}
+
+module.exports = { createCache };
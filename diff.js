@@ -0,0 +1,172 @@
+/**
+ * @typedef {{ oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[] }} Hunk
+ */
+
+/**
+ * Finds the middle snake of the shortest edit script between two ranges of lines, which splits the script into
+ * two halves with the same number of edits (Myers, "An O(ND) Difference Algorithm and Its Variations").
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} aStart
+ * @param {number} aEnd
+ * @param {number} bStart
+ * @param {number} bEnd
+ * @returns {[number, number, number, number]} start and end of the snake, as indexes of `a` and `b`
+ */
+function findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const isOdd = delta % 2 !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest reaching x on each diagonal k = x - y, counted from the start and from the end
+  const forward = new Array(2 * max + 3).fill(0);
+  const backward = new Array(2 * max + 3).fill(0);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]);
+      const x0 = down ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+      let x = x0;
+      while (x < n && x - k < m && a[aStart + x] === b[bStart + x - k]) x++;
+      forward[offset + k] = x;
+
+      if (isOdd && k >= delta - d + 1 && k <= delta + d - 1) {
+        if (x + backward[offset + delta - k] >= n) {
+          return [aStart + x0, bStart + x0 - k, aStart + x, bStart + x - k];
+        }
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]);
+      const x0 = down ? backward[offset + k + 1] : backward[offset + k - 1] + 1;
+      let x = x0;
+      while (x < n && x - k < m && a[aEnd - 1 - x] === b[bEnd - 1 - (x - k)]) x++;
+      backward[offset + k] = x;
+
+      if (!isOdd && delta - k >= -d && delta - k <= d) {
+        if (x + forward[offset + delta - k] >= n) {
+          return [aEnd - x, bEnd - (x - k), aEnd - x0, bEnd - (x0 - k)];
+        }
+      }
+    }
+  }
+
+  return [aEnd, bEnd, aEnd, bEnd];
+}
+
+/**
+ * Finds the longest common subsequence of two line arrays in linear space.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number][]} pairs of matching line indexes
+ */
+function getCommonLines(a, b) {
+  const common = [];
+
+  const compare = (aStart, aEnd, bStart, bEnd) => {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      common.push([aStart++, bStart++]);
+    }
+
+    let suffix = 0;
+    while (
+      aStart < aEnd - suffix &&
+      bStart < bEnd - suffix &&
+      a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    if (aStart < aEnd - suffix && bStart < bEnd - suffix) {
+      const [x, y, u, v] = findMiddleSnake(a, b, aStart, aEnd - suffix, bStart, bEnd - suffix);
+      compare(aStart, x, bStart, y);
+      for (let i = 0; i < u - x; i++) common.push([x + i, y + i]);
+      compare(u, aEnd - suffix, v, bEnd - suffix);
+    }
+
+    for (let i = suffix; i > 0; i--) common.push([aEnd - i, bEnd - i]);
+  };
+
+  compare(0, a.length, 0, b.length);
+  return common;
+}
+
+/**
+ * Computes the hunks of a unified diff between two versions of a file.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {number} context number of unchanged lines shown around changes
+ * @returns {Hunk[]} hunks with 1-based line numbers
+ */
+function getHunks(oldLines, newLines, context = 3) {
+  /** @type {{ type: " " | "-" | "+", text: string, oldIndex: number, newIndex: number }[]} */
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  [...getCommonLines(oldLines, newLines), [oldLines.length, newLines.length]].forEach(
+    ([ci, cj]) => {
+      while (i < ci) changes.push({ type: "-", text: oldLines[i], oldIndex: i++, newIndex: j });
+      while (j < cj) changes.push({ type: "+", text: newLines[j], oldIndex: i, newIndex: j++ });
+      if (ci < oldLines.length) {
+        changes.push({ type: " ", text: oldLines[ci], oldIndex: i++, newIndex: j++ });
+      }
+    }
+  );
+
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  changes.forEach((change, index) => {
+    if (change.type === " ") return;
+
+    if (!current || index - lastChange > context * 2) {
+      if (current) hunks.push(current);
+      current = { start: Math.max(0, index - context), end: index };
+    }
+
+    current.end = index;
+    lastChange = index;
+  });
+
+  if (current) hunks.push(current);
+
+  return hunks.map(({ start, end }) => {
+    const hunkChanges = changes.slice(start, Math.min(changes.length, end + context + 1));
+    const first = hunkChanges[0];
+
+    return {
+      oldStart: first.oldIndex + 1,
+      oldLines: hunkChanges.filter(({ type }) => type !== "+").length,
+      newStart: first.newIndex + 1,
+      newLines: hunkChanges.filter(({ type }) => type !== "-").length,
+      lines: hunkChanges.map(({ type, text }) => `${type}${text}`),
+    };
+  });
+}
+
+/**
+ * @param {string} filePath
+ * @param {(Hunk & { ruleIds?: string[] })[]} hunks
+ * @returns {string} unified diff, with the rules fixed by each hunk shown after its header
+ */
+function formatUnifiedDiff(filePath, hunks) {
+  return [
+    `--- a/${filePath}`,
+    `+++ b/${filePath}`,
+    ...hunks.map(({ oldStart, oldLines, newStart, newLines, lines, ruleIds }) =>
+      [
+        `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@${
+          ruleIds && ruleIds.length ? ` ${ruleIds.join(", ")}` : ""
+        }`,
+        ...lines,
+      ].join("\n")
+    ),
+  ].join("\n");
+}
+
+module.exports = { getCommonLines, getHunks, formatUnifiedDiff };
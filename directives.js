@@ -0,0 +1,146 @@
+/**
+ * @typedef {"disable" | "enable" | "disable-line" | "disable-next-line" | "disable-file"} DirectiveType
+ * @typedef {{ type: DirectiveType, ruleIds: string[] | null, row: number, col: number, colStart: number, colEnd: number, used: Set<string> }} Directive
+ */
+
+const directiveRegex =
+  /^#\s*fmlint-(disable-next-line|disable-line|disable-file|disable|enable)(?=\s|$)(.*)$/;
+
+/**
+ * @param {string} line
+ * @returns {number} index of the `#` starting the line's comment, or -1 if it has none
+ */
+function getCommentIndex(line) {
+  if (/^\s*#/.test(line)) return line.indexOf("#");
+  if (!/\s+#/.test(line)) return -1;
+  return line.indexOf("#", line.search(/\s+#/));
+}
+
+/**
+ * Finds the `fmlint-*` directives in the front matter comments.
+ * Directives can be limited to some rules with a comma or space separated list of rule IDs, and `-- ` starts a description:
+ * `# fmlint-disable-line no-quotes, warn-commas -- quotes are needed here`
+ * @param {string[]} fmLines front matter lines, including the `---` tags
+ * @returns {Directive[]}
+ */
+function parseDirectives(fmLines) {
+  const directives = [];
+
+  for (let row = 1; row < fmLines.length - 1; row++) {
+    const line = fmLines[row];
+    const commentIndex = getCommentIndex(line);
+    if (commentIndex === -1) continue;
+
+    const match = line.substring(commentIndex).trimEnd().match(directiveRegex);
+    if (!match) continue;
+
+    const ruleIds = match[2]
+      .replace(/(^|\s)--(\s.*)?$/, "")
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    directives.push({
+      type: match[1],
+      ruleIds: ruleIds.length ? ruleIds : null,
+      row,
+      col: commentIndex + 1,
+      colStart: commentIndex,
+      colEnd: line.trimEnd().length,
+      used: new Set(),
+    });
+  }
+
+  return directives;
+}
+
+/**
+ * @param {Directive} directive
+ * @param {string} ruleId
+ * @returns {boolean}
+ */
+function appliesTo(directive, ruleId) {
+  return directive.ruleIds === null || directive.ruleIds.includes(ruleId);
+}
+
+/**
+ * Parses the directives of the front matter and keeps track of the ones which disabled a problem.
+ * @param {string[]} fmLines front matter lines, including the `---` tags
+ */
+function getDirectives(fmLines) {
+  const directives = parseDirectives(fmLines);
+  const blocks = directives.filter(({ type }) => type === "disable" || type === "enable");
+
+  /**
+   * @param {string} ruleId
+   * @param {number} [row] line of the problem. Problems without a line, like missing attributes, can only be disabled for the whole file
+   * @returns {Directive | undefined} directive disabling the rule on the given line
+   */
+  function findDirective(ruleId, row) {
+    const lineDirective = directives.find(
+      (directive) =>
+        row !== undefined &&
+        ((directive.type === "disable-line" && directive.row === row) ||
+          (directive.type === "disable-next-line" && directive.row + 1 === row)) &&
+        appliesTo(directive, ruleId)
+    );
+    if (lineDirective) return lineDirective;
+
+    // The last `disable` or `enable` comment above the line for this rule decides
+    const block =
+      row === undefined
+        ? undefined
+        : blocks.filter((directive) => directive.row < row && appliesTo(directive, ruleId)).pop();
+    if (block && block.type === "disable") return block;
+
+    return directives.find(
+      (directive) => directive.type === "disable-file" && appliesTo(directive, ruleId)
+    );
+  }
+
+  /**
+   * @param {string} ruleId
+   * @param {number} [row]
+   * @returns {boolean} whether the rule is disabled on the given line. The directive disabling it is marked as used
+   */
+  function isDisabled(ruleId, row) {
+    const directive = findDirective(ruleId, row);
+    if (directive) directive.used.add(ruleId);
+    return directive !== undefined;
+  }
+
+  return {
+    isDisabled,
+
+    /**
+     * @param {string} ruleId
+     * @param {import("./index.js").Affected} affected line numbers, locations or attribute names of the rule's problems
+     * @returns {import("./index.js").Affected} problems which are not disabled
+     */
+    filter(ruleId, affected) {
+      return affected.filter((location) =>
+        typeof location === "string"
+          ? !isDisabled(ruleId)
+          : !isDisabled(ruleId, typeof location === "number" ? location : location.row)
+      );
+    },
+
+    /**
+     * @returns {{ directive: Directive, ruleId: string | null }[]} directives, or rules of directives, which did not disable any problem
+     */
+    getUnused() {
+      return directives
+        .filter(({ type }) => type !== "enable")
+        .flatMap((directive) => {
+          if (directive.ruleIds === null) {
+            return directive.used.size ? [] : [{ directive, ruleId: null }];
+          }
+
+          return directive.ruleIds
+            .filter((ruleId) => !directive.used.has(ruleId))
+            .map((ruleId) => ({ directive, ruleId }));
+        });
+    },
+  };
+}
+
+module.exports = { getDirectives };
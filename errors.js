@@ -7,11 +7,13 @@ const chalk = require("chalk");
  * @returns the snippet of the line where the error occurred
  */
 function getSnippet(lines, col, row) {
-  return `${row - 1} | ${lines[row - 1]}\n${row} | ${
-    lines[row]
-  }\n${"----^".padStart(col + 3 + Math.floor(Math.log10(row)), "-")}\n${
-    row + 1
-  } | ${lines[row + 1]}\n`;
+  // Errors on the first line of YAML documents or on the closing tag have no line before or after them
+  const before = row > 1 ? `${row - 1} | ${lines[row - 1]}\n` : "";
+  const after =
+    row + 1 < lines.length ? `${row + 1} | ${lines[row + 1]}\n` : "";
+  const pointer = "----^".padStart(col + 3 + Math.floor(Math.log10(row)), "-");
+
+  return `${before}${row} | ${lines[row]}\n${pointer}\n${after}`;
 }
 
 /**
@@ -38,9 +40,11 @@ function getSnippets(arr, filePath, fmLines, args) {
  * @param {string} filePath - the file path of the file where the error occurred
  * @param {string[] | number[] | { row: number, col: number }[] | undefined} affected - affected value, line number or array of affected locations
  * @param {{ colored: boolean, oneline: boolean }} args - used to determine if the output should be colored and if the output should be shown on a single line
+ * @param {string} [ruleId] - ID of the rule that reported the message
  */
-function showOneline(type, message, filePath, affected, args) {
+function showOneline(type, message, filePath, affected, args, ruleId) {
   const path = args.slash === "back" ? filePath.replace(/\//g, "\\") : filePath;
+  const rule = ruleId ? ` (${ruleId})` : "";
   if (affected === undefined) {
     const fileName = filePath.split("/").pop();
     console.log(
@@ -48,7 +52,7 @@ function showOneline(type, message, filePath, affected, args) {
         args.colored
           ? (type === "Error" ? chalk.red : chalk.yellow)(`YAML-${type}:`)
           : `YAML-${type}:`
-      } <${message}> ${path} ${fileName}${!args.oneline ? "\n" : ""}`
+      } <${message}> ${path} ${fileName}${rule}${!args.oneline ? "\n" : ""}`
     );
   } else if (typeof affected === "object") {
     affected.forEach((err) => {
@@ -57,7 +61,8 @@ function showOneline(type, message, filePath, affected, args) {
         message,
         filePath,
         typeof err === "object" ? `${err.row}:${err.col}` : err,
-        args
+        args,
+        ruleId
       );
     });
   } else
@@ -70,18 +75,19 @@ function showOneline(type, message, filePath, affected, args) {
         typeof affected == "string" && affected.includes(":")
           ? affected
           : ` ${affected}`
-      }${!args.oneline ? "\n" : ""}`
+      }${rule}${!args.oneline ? "\n" : ""}`
     );
 }
 
 /**
  * Log a front matter linting error or warning
  *
- * @param {{ type: "Error" | "Warning", message: string, filePath: string, fmLines?: string[], affected?: number[] | string[] | { row: number, col: number }[], args: { colored: boolean, oneline: boolean }, forceOneLine: boolean }} props information about the error or warning and how to log it
+ * @param {{ type: "Error" | "Warning", message: string, ruleId?: string, filePath: string, fmLines?: string[], affected?: number[] | string[] | { row: number, col: number }[], args: { colored: boolean, oneline: boolean }, forceOneLine: boolean }} props information about the error or warning and how to log it
  */
 function lintLog({
   type,
   message,
+  ruleId,
   filePath,
   fmLines,
   affected,
@@ -89,7 +95,7 @@ function lintLog({
   forceOneLine = false,
 }) {
   if (args.oneline || forceOneLine || !affected || !fmLines)
-    return showOneline(type, message, filePath, affected, args);
+    return showOneline(type, message, filePath, affected, args, ruleId);
 
   const snippets = getSnippets(affected, filePath, fmLines, args);
   console.log(
@@ -97,8 +103,27 @@ function lintLog({
       args.colored
         ? (type === "Error" ? chalk.red : chalk.yellow)("YAMLException:")
         : "YAMLException:"
-    } ${message}.\n${snippets}`
+    } ${message}${ruleId ? ` (${ruleId})` : ""}.\n${snippets}`
   );
 }
 
-module.exports = { lintLog };
+/**
+ * Log a unified diff of the changes `--fix` would make
+ *
+ * @param {string} diff - the unified diff
+ * @param {{ colored: boolean }} args - used to determine if the output should be colored
+ */
+function logDiff(diff, args) {
+  const lines = diff.split("\n").map((line) => {
+    if (!args.colored) return line;
+    if (line.startsWith("@@")) return chalk.cyan(line);
+    if (/^(\+\+\+|---) [ab]\//.test(line)) return chalk.bold(line);
+    if (line.startsWith("+")) return chalk.green(line);
+    if (line.startsWith("-")) return chalk.red(line);
+    return line;
+  });
+
+  console.log(`${lines.join("\n")}\n`);
+}
+
+module.exports = { lintLog, logDiff };
@@ -0,0 +1,361 @@
+const { load, dump } = require("js-yaml");
+const { getDirectives } = require("./directives.js");
+
+/**
+ * @typedef {{ isEnabled: (ruleId: string) => boolean, disabledAttributes: string[] }} FixOptions
+ */
+
+/**
+ * Splits a line into its content and trailing comment the same way the linter does.
+ * @param {string} line
+ * @returns {{ content: string, comment: string }}
+ */
+function splitComment(line) {
+  if (!/\s+#/.test(line)) return { content: line, comment: "" };
+
+  const commentIndex = line.search(/\s*#/);
+  return { content: line.substring(0, commentIndex), comment: line.substring(commentIndex) };
+}
+
+/**
+ * @param {string} content line without its comment
+ * @returns {boolean} whether the line starts a literal (`|`) or folded (`>`) block scalar
+ */
+function isBlockScalarHeader(content) {
+  return /(^\s*|[:-]\s+)(!\S*\s+)?[|>][1-9]?[+-]?[1-9]?\s*$/.test(content);
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} row
+ * @param {number} indentation indentation of the line starting the block scalar
+ * @returns {boolean} whether the line is part of the block scalar. Empty lines are if the block scalar goes on after them
+ */
+function isInBlockScalar(lines, row, indentation) {
+  for (let i = row; i < lines.length - 1; i++) {
+    if (lines[i].trim() !== "") return lines[i].search(/\S/) > indentation;
+  }
+
+  return false;
+}
+
+/**
+ * Finds the lines the linter checks, leaving out comments, disabled attributes and the content of block scalars.
+ * @param {string[]} lines front matter lines, including the `---` tags
+ * @param {string[]} disabledAttributes
+ * @returns {boolean[]} whether each line is linted
+ */
+function getLintedLines(lines, disabledAttributes) {
+  const linted = lines.map(() => false);
+  let skip = false;
+  let blockIndentation = -1;
+
+  for (let i = 2; i < lines.length - 1; i++) {
+    const line = lines[i];
+
+    // Every character of a block scalar is part of its value
+    if (blockIndentation !== -1 && isInBlockScalar(lines, i, blockIndentation)) continue;
+    blockIndentation = -1;
+
+    if (/^\s*#/.test(line)) continue;
+
+    if (line.trim() === "") {
+      linted[i] = true;
+      continue;
+    }
+
+    if (/^"?\w+"?\s*:/.test(line)) {
+      skip = disabledAttributes.includes(line.split(":")[0].trim());
+    }
+
+    linted[i] = !skip;
+
+    if (isBlockScalarHeader(splitComment(line).content)) blockIndentation = line.search(/\S/);
+  }
+
+  return linted;
+}
+
+/**
+ * @param {any} value parsed front matter
+ * @returns {string} the value as JSON, with the trailing commas `no-trailing-commas` removes left out of strings
+ */
+function getFixedValue(value) {
+  return JSON.stringify(value, (key, val) =>
+    typeof val === "string" ? val.replace(/\s*,$/, "") : val
+  );
+}
+
+/**
+ * @param {string} str
+ * @returns {boolean} whether the string is parsed to the same string when it is not quoted
+ */
+function isSafeUnquoted(str) {
+  if (str === "" || str.trim() !== str || /\s#|:\s|:$/.test(str)) return false;
+
+  // YAML 1.1 parsers used by other tools read these as booleans or null
+  if (/^(y|yes|n|no|on|off|~)$/i.test(str)) return false;
+
+  try {
+    return load(str) === str;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @param {string} quoted scalar including its quotes
+ * @returns {string | null} value of the quoted scalar or `null` if it is not a simple quoted scalar
+ */
+function getQuotedValue(quoted) {
+  if (!/^("[^"\\]*"|'[^']*')$/.test(quoted)) return null;
+  return quoted.slice(1, -1);
+}
+
+/**
+ * Removes quotes around keys and values which do not need them.
+ * @param {string} content line without its comment
+ * @returns {string}
+ */
+function fixQuotes(content) {
+  const [prefix] = content.match(/^\s*(?:-\s+)*/);
+  let rest = content.substring(prefix.length);
+  let key = "";
+
+  const keyMatch = rest.match(/^("[^"\\]*"|'[^']*')(\s*:)(?=\s|$)/);
+  if (keyMatch) {
+    const value = getQuotedValue(keyMatch[1]);
+    key = isSafeUnquoted(value) ? `${value}${keyMatch[2]}` : `${keyMatch[1]}${keyMatch[2]}`;
+    rest = rest.substring(keyMatch[0].length);
+  } else {
+    const plainKeyMatch = rest.match(/^[^\s"'#][^:#]*:(?=\s|$)/);
+    if (plainKeyMatch) {
+      key = plainKeyMatch[0];
+      rest = rest.substring(key.length);
+    }
+  }
+
+  const valueMatch = rest.match(/^(\s*)(.*?)(\s*)$/);
+  const value = getQuotedValue(valueMatch[2]);
+  if (value !== null && isSafeUnquoted(value)) {
+    rest = `${valueMatch[1]}${value}${valueMatch[3]}`;
+  }
+
+  return `${prefix}${key}${rest}`;
+}
+
+/**
+ * Finds where a flow collection (`[...]` or `{...}`) starting at the given line ends.
+ * @param {string[]} lines
+ * @param {number} row line where the collection starts
+ * @param {number} start index of the opening bracket
+ * @returns {{ row: number, end: number } | null} line and index after the closing bracket
+ */
+function findFlowEnd(lines, row, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = row; i < lines.length - 1; i++) {
+    const line = lines[i];
+
+    for (let j = i === row ? start : 0; j < line.length; j++) {
+      const char = line[j];
+
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "{") {
+        depth++;
+      } else if (char === "]" || char === "}") {
+        depth--;
+        if (depth === 0) return { row: i, end: j + 1 };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts a flow collection starting at the given line into block style.
+ * @param {string[]} lines
+ * @param {number} row
+ * @param {boolean[]} linted
+ * @param {(ruleId: string, row: number) => boolean} isEnabled whether the rule is fixed on the line
+ * @returns {{ fixed: string[], lastRow: number } | null} replacement lines and the last replaced line, or `null` if the collection cannot be converted
+ */
+function fixFlowCollection(lines, row, linted, isEnabled) {
+  const line = lines[row];
+  const match = line.match(/^(\s*(?:-\s+)*(?:[^\s#:[\]{}"'][^#:[\]{}]*?:\s+)?)[[{]/);
+  if (!match) return null;
+
+  const prefix = match[1];
+  const isItem = /^\s*-\s+$/.test(prefix);
+  const isKey = /:\s+$/.test(prefix);
+
+  if (!isItem && !isKey) {
+    const previous = lines
+      .slice(2, row)
+      .reverse()
+      .find((l) => l.trim() !== "" && !/^\s*#/.test(l));
+    if (!previous || !/:\s*$/.test(splitComment(previous).content)) return null;
+  }
+
+  const flowEnd = findFlowEnd(lines, row, prefix.length);
+  if (!flowEnd || lines[flowEnd.row].substring(flowEnd.end).trim() !== "") return null;
+
+  const spanLines = lines.slice(row, flowEnd.row + 1);
+  if (spanLines.some((l, i) => !linted[row + i] || /(^|\s)#/.test(l))) return null;
+
+  const text =
+    flowEnd.row === row
+      ? line.substring(prefix.length, flowEnd.end)
+      : [
+          line.substring(prefix.length),
+          ...lines.slice(row + 1, flowEnd.row),
+          lines[flowEnd.row].substring(0, flowEnd.end),
+        ].join("\n");
+
+  const spanRows = spanLines.map((l, i) => row + i);
+  if (
+    (/[[\]]/.test(text) && spanRows.some((r) => !isEnabled("no-brackets", r))) ||
+    (/[{}]/.test(text) && spanRows.some((r) => !isEnabled("no-curly-braces", r)))
+  ) {
+    return null;
+  }
+
+  let value;
+  try {
+    value = load(text);
+  } catch (e) {
+    return null;
+  }
+
+  if (typeof value !== "object" || value === null || !Object.keys(value).length) return null;
+
+  const dumped = dump(value, { lineWidth: -1 }).replace(/\n$/, "").split("\n");
+  let fixed;
+
+  if (isKey) {
+    const keyCol = prefix.match(/^\s*(?:-\s+)*/)[0].length;
+    fixed = [prefix.trimEnd(), ...dumped.map((l) => `${" ".repeat(keyCol + 2)}${l}`)];
+  } else if (isItem) {
+    const itemPrefix = prefix.replace(/-\s+$/, "- ");
+    fixed = [
+      `${itemPrefix}${dumped[0]}`,
+      ...dumped.slice(1).map((l) => `${" ".repeat(itemPrefix.length)}${l}`),
+    ];
+  } else {
+    fixed = dumped.map((l) => `${prefix}${l}`);
+  }
+
+  return { fixed, lastRow: flowEnd.row };
+}
+
+/**
+ * Fixes the indentation of a line indented more than 2 spaces from the previous one by moving its whole block.
+ * @param {string[]} lines
+ * @param {FixOptions} options
+ * @returns {string[]}
+ */
+function fixIndentation(lines, { disabledAttributes }) {
+  const fixed = [...lines];
+  const linted = getLintedLines(fixed, disabledAttributes);
+  const directives = getDirectives(fixed);
+
+  for (let i = 2; i < fixed.length - 1; i++) {
+    if (!linted[i] || directives.isDisabled("incorrect-indentation", i)) continue;
+
+    const indentationCurr = splitComment(fixed[i]).content.search(/\S/);
+    let indentationPrev = fixed[i - 1].search(/\S/);
+    indentationPrev = indentationPrev === -1 ? 0 : indentationPrev;
+
+    if (indentationCurr - indentationPrev <= 2) continue;
+
+    const shift = indentationCurr - indentationPrev - 2;
+
+    for (let j = i; j < fixed.length - 1; j++) {
+      const indentation = fixed[j].search(/\S/);
+      if (indentation !== -1 && indentation < indentationCurr) break;
+      if (indentation !== -1) fixed[j] = fixed[j].substring(shift);
+    }
+  }
+
+  return fixed;
+}
+
+/**
+ * Fixes the front matter with targeted edits for each fixable rule, keeping everything else as it is.
+ * Comments, key order and formatting of valid lines are not changed.
+ * @param {string[]} fmLines front matter lines, including the `---` tags
+ * @param {FixOptions} options
+ * @returns {string[]} fixed front matter lines
+ */
+function fixFrontMatter(fmLines, options) {
+  const { disabledAttributes } = options;
+  const linted = getLintedLines(fmLines, disabledAttributes);
+  const directives = getDirectives(fmLines);
+  const isEnabled = (ruleId, row) =>
+    options.isEnabled(ruleId) && !directives.isDisabled(ruleId, row);
+  const fixed = fmLines.slice(0, 2);
+
+  for (let i = 2; i < fmLines.length - 1; i++) {
+    if (!linted[i]) {
+      fixed.push(fmLines[i]);
+      continue;
+    }
+
+    if (fmLines[i].trim() === "") {
+      if (!isEnabled("no-empty-lines", i)) fixed.push(fmLines[i]);
+      continue;
+    }
+
+    const flowCollection = fixFlowCollection(fmLines, i, linted, isEnabled);
+    if (flowCollection) {
+      fixed.push(...flowCollection.fixed);
+      i = flowCollection.lastRow;
+      continue;
+    }
+
+    let { content, comment } = splitComment(fmLines[i]);
+
+    if (isEnabled("no-whitespace-before-colon", i)) {
+      content = content.replace(/^(\s*(?:-\s+)*[^\s#:][^#:]*?)\s+:(?=\s|$)/, "$1:");
+    }
+
+    if (isEnabled("no-quotes", i)) {
+      content = fixQuotes(content);
+    }
+
+    if (isEnabled("no-trailing-commas", i)) {
+      content = content.replace(/\s*,\s*$/, "");
+    }
+
+    if (isEnabled("no-trailing-spaces", i) && !comment) {
+      content = content.trimEnd();
+    }
+
+    fixed.push(`${content}${comment}`);
+  }
+
+  fixed.push(fmLines[fmLines.length - 1]);
+
+  const result = options.isEnabled("incorrect-indentation")
+    ? fixIndentation(fixed, options)
+    : fixed;
+
+  // Fixes must not change any value, apart from the trailing commas they remove
+  try {
+    // Only the tags are left out, so the `---` lines between documents do not merge them
+    const before = load(fmLines.slice(2, -1).join("\n"));
+    const after = load(result.slice(2, -1).join("\n"));
+    if (getFixedValue(before) !== getFixedValue(after)) return fmLines;
+  } catch (e) {
+    return fmLines;
+  }
+
+  return result;
+}
+
+module.exports = { fixFrontMatter };
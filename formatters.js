@@ -0,0 +1,378 @@
+const { rules } = require("./rules.js");
+const { name, version, homepage } = require("./package.json");
+
+/**
+ * @typedef {import("./index.js").LintResult} LintResult
+ * @typedef {{ ruleId: string | null, severity: "error" | "warning", message: string, row?: number, col?: number, colStart?: number, colEnd?: number, value?: string, fixable: boolean }} Diagnostic
+ */
+
+const noFrontMatterMessage = "front matter not found";
+const pathNotFoundMessage = "file or directory not found";
+const invalidExtensionMessage = "file does not have a valid extension";
+
+/**
+ * Flattens the errors and warnings of a lint result into a list of diagnostics.
+ * @param {LintResult} result
+ * @returns {Diagnostic[]}
+ */
+function getDiagnostics(result) {
+  const diagnostics = [];
+  const ruleIds = result.ruleIds || {};
+  const fixableRuleIds = result.fixableRuleIds || [];
+
+  /**
+   * @param {"error" | "warning"} severity
+   * @param {{[message: string]: any}} messages
+   */
+  function addDiagnostics(severity, messages) {
+    Object.keys(messages).forEach((message) => {
+      if (message === "noFrontMatter") {
+        diagnostics.push({
+          ruleId: null,
+          severity,
+          message: noFrontMatterMessage,
+          row: 1,
+          fixable: false,
+        });
+        return;
+      }
+
+      if (message === "pathNotFound") {
+        diagnostics.push({ ruleId: null, severity, message: pathNotFoundMessage, fixable: false });
+        return;
+      }
+
+      if (message === "invalidExtension") {
+        diagnostics.push({
+          ruleId: null,
+          severity,
+          message: invalidExtensionMessage,
+          fixable: false,
+        });
+        return;
+      }
+
+      if (message === "customError") {
+        const { message: reason, row, col } = messages.customError;
+        diagnostics.push({ ruleId: null, severity, message: reason, row, col, fixable: false });
+        return;
+      }
+
+      const ruleId = ruleIds[message] || null;
+      const fixable = severity === "error" && fixableRuleIds.includes(ruleId);
+
+      messages[message].forEach((affected) => {
+        const diagnostic = { ruleId, severity, message };
+
+        if (typeof affected === "number") {
+          diagnostic.row = affected;
+        } else if (typeof affected === "string") {
+          diagnostic.value = affected;
+        } else {
+          ["row", "col", "colStart", "colEnd"]
+            .filter((key) => affected[key] !== undefined)
+            .forEach((key) => (diagnostic[key] = affected[key]));
+        }
+
+        diagnostic.fixable = fixable;
+        diagnostics.push(diagnostic);
+      });
+    });
+  }
+
+  addDiagnostics("error", result.errors || {});
+  addDiagnostics("warning", result.warnings || {});
+
+  return diagnostics;
+}
+
+/**
+ * @param {LintResult[]} results
+ * @returns {string} JSON document with the diagnostics of every linted file
+ */
+function json(results) {
+  const files = results.map((result) => {
+    const messages = getDiagnostics(result);
+    return {
+      filePath: result.filePath,
+      errorCount: messages.filter(({ severity }) => severity === "error").length,
+      warningCount: messages.filter(({ severity }) => severity === "warning").length,
+      fixableErrorCount: messages.filter(({ fixable }) => fixable).length,
+      messages,
+      ...(result.output !== undefined
+        ? { output: result.output, diff: result.diff, fixes: result.fixes }
+        : {}),
+    };
+  });
+
+  return JSON.stringify(
+    {
+      errorCount: files.reduce((acc, file) => acc + file.errorCount, 0),
+      warningCount: files.reduce((acc, file) => acc + file.warningCount, 0),
+      fixableErrorCount: files.reduce((acc, file) => acc + file.fixableErrorCount, 0),
+      files,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * @param {string} message
+ * @returns {string} rule-like ID for diagnostics that do not come from a built-in rule
+ */
+function toRuleId(message) {
+  return message
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * @param {import("./rules.js").RuleSeverity} severity
+ * @returns {"error" | "warning" | "none"} SARIF level of the severity
+ */
+function toSarifLevel(severity) {
+  return severity === "off" ? "none" : severity;
+}
+
+/**
+ * @param {Diagnostic} diagnostic
+ * @returns {object} SARIF region of the diagnostic. Diagnostics without a row are shown on the opening front matter tag.
+ */
+function toSarifRegion({ row, col, colStart, colEnd }) {
+  const region = { startLine: row || 1 };
+
+  if (colStart !== undefined && colEnd !== undefined && colEnd > colStart) {
+    region.startColumn = colStart + 1;
+    region.endColumn = colEnd + 1;
+  } else if (col !== undefined) {
+    region.startColumn = col;
+  }
+
+  return region;
+}
+
+/**
+ * @param {LintResult[]} results
+ * @returns {string} SARIF 2.1.0 log with one result per diagnostic
+ */
+function sarif(results) {
+  const descriptors = [];
+  const sarifResults = [];
+
+  results.forEach((result) => {
+    getDiagnostics(result).forEach((diagnostic) => {
+      const id = diagnostic.ruleId || toRuleId(diagnostic.message);
+      let ruleIndex = descriptors.findIndex((descriptor) => descriptor.id === id);
+
+      if (ruleIndex === -1) {
+        ruleIndex =
+          descriptors.push({
+            id,
+            shortDescription: { text: diagnostic.message },
+            defaultConfiguration: {
+              level: diagnostic.ruleId
+                ? toSarifLevel(rules[diagnostic.ruleId].severity)
+                : diagnostic.severity,
+            },
+            helpUri: diagnostic.ruleId ? `${homepage.replace(/#.*$/, "")}#rules` : undefined,
+          }) - 1;
+      }
+
+      sarifResults.push({
+        ruleId: id,
+        ruleIndex,
+        level: diagnostic.severity,
+        message: {
+          text:
+            diagnostic.value !== undefined
+              ? `${diagnostic.message}: ${diagnostic.value}`
+              : diagnostic.message,
+        },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: {
+                uri: encodeURI(result.filePath.replace(/\\/g, "/")),
+                uriBaseId: "%SRCROOT%",
+              },
+              region: toSarifRegion(diagnostic),
+            },
+          },
+        ],
+      });
+    });
+  });
+
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name,
+              version,
+              informationUri: homepage,
+              rules: descriptors,
+            },
+          },
+          results: sarifResults,
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * @param {string} str
+ * @returns {string} string safe to use in XML attributes and text
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * @param {string} filePath
+ * @param {Diagnostic} diagnostic
+ * @returns {string} one line description of the diagnostic including its location
+ */
+function describeDiagnostic(filePath, { ruleId, message, row, col, value }) {
+  const location = [filePath, row, col].filter((part) => part !== undefined).join(":");
+  return `${location} ${message}${value !== undefined ? `: ${value}` : ""}${
+    ruleId ? ` (${ruleId})` : ""
+  }`;
+}
+
+/**
+ * @param {LintResult[]} results
+ * @returns {string} JUnit XML report with a test suite per directory and a test case per file.
+ * A file with errors has a single failure listing all of them, and each of its warnings is a `warning` property
+ */
+function junit(results) {
+  const suites = results.reduce((acc, result) => {
+    const dir = result.filePath.includes("/")
+      ? result.filePath.substring(0, result.filePath.lastIndexOf("/"))
+      : ".";
+    return { ...acc, [dir]: [...(acc[dir] || []), result] };
+  }, {});
+
+  let tests = 0;
+  let failures = 0;
+
+  const testSuites = Object.keys(suites).map((dir) => {
+    let suiteFailures = 0;
+
+    const testCases = suites[dir].map((result) => {
+      const diagnostics = getDiagnostics(result);
+      const errors = diagnostics.filter(({ severity }) => severity === "error");
+      const warnings = diagnostics.filter(({ severity }) => severity === "warning");
+      const testCase = `testcase name="${escapeXml(result.filePath)}" classname="${escapeXml(
+        dir
+      )}"`;
+
+      if (errors.length) suiteFailures++;
+
+      if (!diagnostics.length) {
+        return `    <${testCase} />`;
+      }
+
+      const describeAll = (found) =>
+        found.map((diagnostic) => escapeXml(describeDiagnostic(result.filePath, diagnostic)));
+
+      return [
+        `    <${testCase}>`,
+        ...(warnings.length
+          ? [
+              "      <properties>",
+              ...describeAll(warnings).map(
+                (warning) => `        <property name="warning" value="${warning}" />`
+              ),
+              "      </properties>",
+            ]
+          : []),
+        ...(errors.length
+          ? [
+              `      <failure message="${errors.length} error${
+                errors.length === 1 ? "" : "s"
+              } found" type="error">${describeAll(errors).join("\n")}</failure>`,
+            ]
+          : []),
+        "    </testcase>",
+      ].join("\n");
+    });
+
+    tests += testCases.length;
+    failures += suiteFailures;
+
+    return [
+      `  <testsuite name="${escapeXml(dir)}" tests="${
+        testCases.length
+      }" failures="${suiteFailures}" errors="0">`,
+      ...testCases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${name}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...testSuites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+/**
+ * @param {string} str
+ * @param {boolean} [isProperty] properties also need commas and colons escaped
+ * @returns {string} string safe to use in a GitHub Actions workflow command
+ */
+function escapeCommand(str, isProperty = false) {
+  const escaped = String(str).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+  return isProperty ? escaped.replace(/:/g, "%3A").replace(/,/g, "%2C") : escaped;
+}
+
+/**
+ * @param {LintResult[]} results
+ * @returns {string} GitHub Actions `::error` and `::warning` workflow commands which annotate the linted files
+ */
+function github(results) {
+  const commands = [];
+
+  results.forEach((result) => {
+    getDiagnostics(result).forEach((diagnostic) => {
+      const { ruleId, severity, message, row, col, colStart, colEnd, value } = diagnostic;
+      const properties = { file: result.filePath, line: row || 1 };
+
+      if (colStart !== undefined && colEnd !== undefined && colEnd > colStart) {
+        properties.col = colStart + 1;
+        properties.endColumn = colEnd;
+      } else if (col !== undefined) {
+        properties.col = col;
+      }
+
+      if (ruleId) properties.title = ruleId;
+
+      commands.push(
+        `::${severity} ${Object.keys(properties)
+          .map((key) => `${key}=${escapeCommand(properties[key], true)}`)
+          .join(",")}::${escapeCommand(value !== undefined ? `${message}: ${value}` : message)}`
+      );
+    });
+  });
+
+  return commands.join("\n");
+}
+
+const formatters = { json, sarif, junit, github };
+
+module.exports = { formatters, getDiagnostics };
@@ -0,0 +1,56 @@
+const { execFileSync } = require("child_process");
+
+/**
+ * Runs git in the current working directory.
+ * @param {string[]} gitArgs
+ * @returns {string} output of the command
+ * @throws {Error} with git's error output as message if git fails or is not installed
+ */
+function git(gitArgs) {
+  try {
+    return execFileSync("git", gitArgs, { encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+  } catch (err) {
+    throw new Error(((err.stderr && err.stderr.toString()) || err.message).trim());
+  }
+}
+
+/**
+ * @param {string[]} gitArgs arguments of a git command listing paths with `-z`
+ * @returns {string[]} paths printed by git
+ */
+function listFiles(gitArgs) {
+  return git(gitArgs).split("\0").filter(Boolean);
+}
+
+/**
+ * Lists files changed in the git repository of the current working directory.
+ * Paths are relative to the current working directory and only include files inside it. Deleted files are left out.
+ * @param {{ staged?: boolean, changed?: boolean, since?: string }} options
+ * `staged`: files in the index which differ from `HEAD`,
+ * `changed`: staged, unstaged and untracked files which are not ignored by git,
+ * `since`: files of the working tree which differ from the merge base of the given commit, branch or tag and `HEAD`,
+ * so files changed only on the given branch are left out
+ * @returns {string[]}
+ * @throws {Error} if git fails, e.g. outside a repository or with an unknown ref
+ */
+function getChangedFiles({ staged, changed, since }) {
+  const diff = ["diff", "-z", "--name-only", "--relative", "--diff-filter=d"];
+  const files = [];
+
+  // Outside of a repository `git diff` would compare paths instead
+  git(["rev-parse", "--is-inside-work-tree"]);
+
+  if (staged || changed) files.push(...listFiles([...diff, "--cached"]));
+  if (changed) {
+    files.push(...listFiles(diff));
+    files.push(...listFiles(["ls-files", "-z", "--others", "--exclude-standard"]));
+  }
+  if (since) {
+    const mergeBase = git(["merge-base", since, "HEAD"]).trim();
+    files.push(...listFiles([...diff, mergeBase, "--"]));
+  }
+
+  return [...new Set(files)].sort();
+}
+
+module.exports = { getChangedFiles };
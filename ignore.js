@@ -0,0 +1,138 @@
+const { readFileSync, existsSync } = require("fs");
+const path = require("path");
+const minimatch = require("minimatch");
+
+/**
+ * @typedef {{ pattern: string, negated: boolean, dirOnly: boolean }} IgnoreRule
+ */
+
+const matchOptions = { dot: true, nocomment: true, nonegate: true };
+
+/**
+ * Parses the patterns of an ignore file with `.gitignore` syntax.
+ * @param {string} text contents of the ignore file
+ * @returns {IgnoreRule[]}
+ */
+function parseIgnoreFile(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)[ \t]+$/, ""))
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map((line) => {
+      const negated = line.startsWith("!");
+      let pattern = negated ? line.substring(1) : line;
+
+      // `\#` and `\!` start patterns matching names beginning with these characters
+      if (/^\\[#!]/.test(pattern)) pattern = pattern.substring(1);
+
+      const dirOnly = pattern.endsWith("/");
+      if (dirOnly) pattern = pattern.slice(0, -1);
+
+      // Patterns with a slash before their end are relative to the ignore file, others match at any depth
+      const anchored = pattern.includes("/");
+      pattern = pattern.replace(/^\//, "");
+
+      return { pattern: anchored ? pattern : `**/${pattern}`, negated, dirOnly };
+    });
+}
+
+/**
+ * @param {IgnoreRule[]} rules
+ * @param {string} relativePath path relative to the directory of the ignore file the rules are from
+ * @param {boolean} isDir
+ * @returns {boolean | undefined} whether the last matching rule ignores the path, or `undefined` if none match
+ */
+function matchRules(rules, relativePath, isDir) {
+  let ignored;
+
+  rules.forEach(({ pattern, negated, dirOnly }) => {
+    if ((!dirOnly || isDir) && minimatch(relativePath, pattern, matchOptions)) {
+      ignored = !negated;
+    }
+  });
+
+  return ignored;
+}
+
+/**
+ * Matches paths against the `.fmlintignore` files (and `.gitignore` files, if enabled) of the root directory and
+ * the directories below it. Like git, patterns of deeper ignore files take precedence and files in ignored
+ * directories cannot be included again with `!` patterns.
+ * @param {string} root directory the paths are relative to, usually the current working directory
+ * @param {{ gitignore?: boolean }} [options]
+ * @returns {{ isIgnored: (filePath: string, isDir?: boolean) => boolean }}
+ */
+function createIgnore(root, { gitignore = false } = {}) {
+  const fileNames = gitignore ? [".gitignore", ".fmlintignore"] : [".fmlintignore"];
+  /** @type {Map<string, IgnoreRule[]>} rules of the ignore files in each directory */
+  const dirRules = new Map();
+  /** @type {Map<string, boolean>} whether each directory checked so far is ignored */
+  const ignoredDirs = new Map();
+
+  const getRules = (dir) => {
+    if (!dirRules.has(dir)) {
+      dirRules.set(
+        dir,
+        fileNames
+          .map((fileName) => path.join(root, dir, fileName))
+          .filter((file) => existsSync(file))
+          .flatMap((file) => parseIgnoreFile(readFileSync(file, "utf8")))
+      );
+    }
+
+    return dirRules.get(dir);
+  };
+
+  /**
+   * @param {string} relativePath path relative to the root, with forward slashes
+   * @param {boolean} isDir
+   * @returns {boolean} whether the rules of the ignore files above the path ignore it
+   */
+  const matchPath = (relativePath, isDir) => {
+    const segments = relativePath.split("/");
+    let ignored = false;
+
+    for (let i = 0; i < segments.length; i++) {
+      const dir = segments.slice(0, i).join("/");
+      const matched = matchRules(getRules(dir), segments.slice(i).join("/"), isDir);
+      if (matched !== undefined) ignored = matched;
+    }
+
+    return ignored;
+  };
+
+  const isDirIgnored = (relativeDir) => {
+    if (!ignoredDirs.has(relativeDir)) {
+      const parent = path.posix.dirname(relativeDir);
+      ignoredDirs.set(
+        relativeDir,
+        (parent !== "." && isDirIgnored(parent)) || matchPath(relativeDir, true)
+      );
+    }
+
+    return ignoredDirs.get(relativeDir);
+  };
+
+  return {
+    /**
+     * @param {string} filePath path to a file or directory
+     * @param {boolean} [isDir] whether the path is a directory, for patterns ending with `/`
+     * @returns {boolean} whether the path or one of its parent directories is ignored
+     */
+    isIgnored(filePath, isDir = false) {
+      const relativePath = path.relative(root, path.resolve(root, filePath)).replace(/\\/g, "/");
+
+      // Ignore files only apply to paths inside their directory
+      if (relativePath === "" || relativePath.startsWith("../") || path.isAbsolute(relativePath)) {
+        return false;
+      }
+
+      const parent = path.posix.dirname(relativePath);
+      if (parent !== "." && isDirIgnored(parent)) return true;
+
+      return isDir ? isDirIgnored(relativePath) : matchPath(relativePath, false);
+    },
+  };
+}
+
+module.exports = { createIgnore };
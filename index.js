@@ -1,97 +1,708 @@
 #! /usr/bin/env node
 
 /**
- * @typedef {{ noFrontMatter: true } | { customError: {row: number, col: number, message: string} } | {[message: string]: {row: number, col?: number, colStart?: number, colEnd?: number, snippet?: string}}} LintErrors
- * @typedef {{[message: string]: {row: number, col?: number, colStart?: number, colEnd?: number, snippet?: string}}} LintWarnings
- * @typedef {{filePath: string, fileErrors: number, fileWarnings: number, errors: LintErrors, warnings: LintWarnings}} LintResult
- * @typedef {{ path: string, fix: boolean, config: string, recursive: boolean, mandatory: boolean, quiet: boolean, oneline: boolean, colored: boolean, globOnly: boolean }} LintArgs
- * @typedef {{ disabledAttributes: string[], excludeDirs: string[], extraExcludeDirs: string[], excludeFiles: string[], extensions: string[], includeDirs: string[], mandatory: boolean, requiredAttributes: string[] }} LintConfig
+ * @typedef {{ noFrontMatter: true } | { pathNotFound: true } | { invalidExtension: true } | { customError: {row: number, col: number, message: string} } | {[message: string]: {row: number, col?: number, colStart?: number, colEnd?: number, snippet?: string}}} LintErrors
+ * @typedef {{ noFrontMatter: true } | {[message: string]: {row: number, col?: number, colStart?: number, colEnd?: number, snippet?: string}}} LintWarnings
+ * @typedef {{filePath: string, fileErrors: number, fileWarnings: number, errors: LintErrors, warnings: LintWarnings, ruleIds?: {[message: string]: string}, fixableRuleIds?: string[], output?: string, diff?: string, fixes?: {oldStart: number, oldLines: number, newStart: number, newLines: number, ruleIds: string[]}[]}} LintResult
+ * @typedef {{ path: string, paths?: string[], fix: boolean, fixDryRun: boolean, config: string, recursive: boolean, mandatory: boolean, quiet: boolean, oneline: boolean, colored: boolean, globOnly: boolean, format: "text" | "json" | "sarif" | "junit" | "github", stdin: boolean, stdinFilename?: string, watch: boolean, cache: boolean, cacheLocation: string, concurrency: number, reportUnusedDisableDirectives: boolean, staged: boolean, changed: boolean, since?: string }} LintArgs
+ * @typedef {{ disabledAttributes: string[], excludeDirs: string[], extraExcludeDirs: string[], excludeFiles: string[], extensions: string[], includeDirs: string[], mandatory: boolean, requiredAttributes: string[], rules?: {[ruleId: string]: RuleSeverity}, schema?: string | object, endOfLine?: "lf" | "crlf" | "auto", encoding?: BufferEncoding, overrides?: LintOverride[], useGitignore?: boolean }} LintConfig
+ * @typedef {Partial<LintConfig> & { files: string | string[], configDir?: string }} LintOverride
+ * @typedef {import("./rules.js").RuleSeverity} RuleSeverity
+ * @typedef {"yaml" | "toml" | "json"} FrontMatterFormat
+ * @typedef {{ errorNumber: number, warningNumber: number, fixableErrors: number }} LintCounts
+ * @typedef {{ args: LintArgs, config: LintConfig, allExcludedDirs: string[], counts: LintCounts, writeFixes: boolean, configDirs: string[], ignore: ReturnType<typeof createIgnore>, linted: Set<string>, cache?: ReturnType<typeof createCache>, pool?: ReturnType<typeof createPool>, poolConfigs?: Map<string, LintConfig> }} LintState
  * @typedef {string[] | number[] | { row: number, col: number, colStart?: number, colEnd?: number }[] | undefined} Affected
  */
 
 const { readFileSync, lstatSync, readdirSync, writeFileSync, existsSync } = require("fs");
 const chalk = require("chalk");
-const { load, dump } = require("js-yaml");
+const { load, DEFAULT_SCHEMA, Type, types, YAMLException } = require("js-yaml");
 const path = require("path");
+const os = require("os");
+const { EventEmitter } = require("events");
+const { isMainThread, parentPort, workerData } = require("worker_threads");
 const glob = require("glob");
-const { lintLog } = require("./errors.js");
+const minimatch = require("minimatch");
+const { lintLog, logDiff } = require("./errors.js");
+const { errorMessages, warningMessages, rules } = require("./rules.js");
+const { formatters } = require("./formatters.js");
+const { validateSchema, validateConfig, ConfigError } = require("./schema.js");
+const { fixFrontMatter } = require("./fixer.js");
+const { getDirectives } = require("./directives.js");
+const { getCommonLines, getHunks, formatUnifiedDiff } = require("./diff.js");
+const { watchPath } = require("./watch.js");
+const { createCache } = require("./cache.js");
+const { createPool } = require("./pool.js");
+const { createIgnore } = require("./ignore.js");
+const {
+  parseToml,
+  getTomlErrorLocation,
+  getTomlLines,
+  matchKeyValue,
+  findTomlAttribute,
+  TomlError,
+} = require("./toml.js");
+const { getChangedFiles } = require("./git.js");
+const { parseJson, getJsonLines, findJsonAttribute, JsonError } = require("./json.js");
 
 const cwd = process.cwd().replace(/\\/g, "/");
 
 /**
- * @type LintArgs
+ * Rules checked by `lintDataLineByLine` for each front matter format other than YAML.
+ * Rules for YAML syntax like `no-quotes` do not apply to them
  */
-let args;
+const dataLineRuleIds = {
+  toml: [
+    "required-attributes",
+    "no-empty-lines",
+    "no-trailing-spaces",
+    "no-repeating-spaces",
+    "spaces-around-equals",
+  ],
+  json: ["required-attributes", "no-empty-lines", "no-trailing-spaces", "no-repeating-spaces"],
+};
 
 /**
- * @type LintConfig
+ * Rules checked by `lintLineByLine`
  */
-let config;
+const lineRuleIds = Object.keys(rules).filter(
+  (ruleId) => !["schema", "spaces-around-equals", "end-of-line"].includes(ruleId)
+);
 
-let errorNumber = 0;
-let fixableErrors = 0;
-let warningNumber = 0;
-let allExcludedDirs = [];
-const errorMessages = {
-  missingAttributes: "missing required attributes",
-  blankLines: "there must be no empty lines",
-  spacesBeforeColon: "there must be no whitespace before colons",
-  quotes: "there must be no quotes in the front matter",
-  trailingSpaces: "there must be no trailing spaces",
-  brackets: "there must be no brackets",
-  curlyBraces: "there must be no curly braces",
-  indentation: "lines cannot be indented more than 2 spaces from the previous line",
-  trailingCommas: "there must be no trailing commas",
-};
-const warningMessages = {
-  repeatingSpaces: "possibly unintended whitespace",
-  warnCommas: "possibly unintended commas",
-};
+/**
+ * YAML schema for the schema validation, which keeps timestamps as strings so they can be validated with
+ * `"type": "string"` and `"format"`. Merge keys and the other standard tags are resolved as usual
+ */
+const schemaYamlSchema = DEFAULT_SCHEMA.extend({
+  implicit: [
+    new Type("tag:yaml.org,2002:timestamp", {
+      kind: "scalar",
+      resolve: types.timestamp.resolve,
+      construct: (data) => data,
+    }),
+  ],
+});
+
+/**
+ * Messages shown on one line even without `--oneline`
+ */
+const oneLineErrors = [
+  errorMessages.blankLines,
+  errorMessages.missingAttributes,
+  errorMessages.endOfLine,
+];
+
+/**
+ * Creates the state of a single lint run. Runs share nothing, so they can be done concurrently.
+ * @param {LintArgs} a args object
+ * @param {LintConfig} c config object
+ * @param {boolean} writeFixes whether fixed files are written or only returned as `output`
+ * @returns {LintState}
+ */
+function createState(a, c, writeFixes = !a.stdin) {
+  return {
+    args: { ...a },
+    config: { ...c },
+    allExcludedDirs: [...(c.excludeDirs || []), ...(c.extraExcludeDirs || [])],
+    counts: { errorNumber: 0, warningNumber: 0, fixableErrors: 0 },
+    writeFixes,
+    configDirs: [],
+    ignore: createIgnore(cwd, { gitignore: c.useGitignore }),
+    linted: new Set(),
+  };
+}
+
+/**
+ * @param {string} ruleId
+ * @param {LintConfig} config
+ * @returns {RuleSeverity} severity set in the config or the rule's default one
+ */
+function getRuleSeverity(ruleId, config) {
+  const severity = (config.rules || {})[ruleId];
+  return severity === undefined ? rules[ruleId].severity : severity;
+}
+
+/**
+ * @param {LintArgs} args
+ * @returns {boolean} whether results are logged as human readable text instead of a formatted report
+ */
+function isTextOutput(args) {
+  return (!args.format || args.format === "text") && !isFixingStdin(args);
+}
+
+/**
+ * With `--stdin --fix` the fixed content is written to stdout, so no other text output is logged.
+ * @param {LintArgs} args
+ * @returns {boolean}
+ */
+function isFixingStdin(args) {
+  return Boolean(args.stdin && args.fix && !args.fixDryRun);
+}
+
+/**
+ * @param {LintArgs} args
+ * @returns {boolean} whether the files changed in git are linted instead of the ones found in the path
+ */
+function isGitMode(args) {
+  return Boolean(args.staged || args.changed || args.since);
+}
+
+/**
+ * @param {LintArgs} args
+ * @returns {string[]} paths and glob patterns to lint. Without any, files changed in git are looked for in the whole repository
+ */
+function getTargets(args) {
+  const targets = args.paths || (args.path !== undefined ? [args.path] : []);
+  return !targets.length && isGitMode(args) ? ["."] : targets;
+}
+
+/**
+ * Logs a message that is only relevant to the human readable output.
+ * @param {string} message
+ * @param {LintArgs} args
+ */
+function logInfo(message, args) {
+  if (!args.quiet && isTextOutput(args)) console.log(message);
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string} path with forward slashes and without leading `./` or trailing slashes
+ */
+function normalizePath(filePath) {
+  return filePath
+    .replace(/\\/g, "/")
+    .replace(/^(\.\/)+/, "")
+    .replace(/\/+$/, "");
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} suffix path of a file or directory from the config
+ * @returns {boolean} whether the path ends with all segments of `suffix`, so `a/b.md` matches `x/a/b.md` but not `xa/b.md`
+ */
+function endsWithPath(filePath, suffix) {
+  return `/${normalizePath(filePath)}`.endsWith(`/${normalizePath(suffix)}`);
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} dir path of a directory from the config
+ * @returns {boolean} whether the path is inside `dir`
+ */
+function isInsideDir(filePath, dir) {
+  return `/${normalizePath(filePath)}`.includes(`/${normalizePath(dir)}/`);
+}
+
+/**
+ * @param {string} root
+ * @param {string} dir directory inside `root`
+ * @returns {string[]} `root` and every directory between it and `dir`, including `dir`
+ */
+function getDirs(root, dir) {
+  return path.posix
+    .relative(root, dir)
+    .split("/")
+    .filter((segment) => segment && segment !== "..")
+    .reduce(
+      (dirs, segment) => {
+        const parent = dirs[dirs.length - 1];
+        return [...dirs, parent === "." ? segment : `${parent}/${segment}`];
+      },
+      [root]
+    );
+}
+
+/**
+ * @param {string} path path to directory
+ * @param {LintState} state
+ * @returns {boolean} whether the directory is excluded and not included again by `includeDirs`
+ */
+function isExcludedDir(path, { config, allExcludedDirs }) {
+  return (
+    allExcludedDirs.some((ignoredDirectory) => endsWithPath(path, ignoredDirectory)) &&
+    !config.includeDirs.some((includedDirectory) => endsWithPath(path, includedDirectory))
+  );
+}
+
+/**
+ * Reads all of stdin.
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => (data += chunk));
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * Lints the front matter piped to stdin, using the config of the directories in `--stdin-filename`.
+ * With `--fix` the result's `output` is the content to write to stdout, fixed or not.
+ * @param {string} text
+ * @param {LintState} state
+ * @returns {Promise<LintResult[]>}
+ */
+function lintStdin(text, state) {
+  const { args } = state;
+  const filePath = args.stdinFilename || "<stdin>";
+  const config = args.stdinFilename
+    ? getDirs(".", path.dirname(filePath))
+        .slice(1)
+        .reduce((conf, dir) => getConfig(args, dir, conf), state.config)
+    : state.config;
+
+  return lintFrontMatter(filePath, text, { ...state, config }).then((lintRes) => [
+    isFixingStdin(args) && lintRes.output === undefined ? { ...lintRes, output: text } : lintRes,
+  ]);
+}
 
-function removeSlashes(str) {
-  return str.replace(/\/|\\/g, "");
+/**
+ * Lints the given paths and glob patterns, using the cache and worker threads if enabled in the args.
+ * @param {string[]} targets
+ * @param {LintState} state
+ * @returns {Promise<LintResult[]>}
+ */
+function lintTargets(targets, state) {
+  const { args } = state;
+
+  if (args.cache) {
+    state.cache = createCache(args.cacheLocation, {
+      reportUnusedDisableDirectives: args.reportUnusedDisableDirectives,
+    });
+  }
+  if (args.concurrency > 1) state.pool = createLintPool(state);
+  // Results from worker threads are logged with the config of their file, including nested configs and overrides
+  if (state.pool) state.poolConfigs = new Map();
+
+  return Promise.all(targets.map((target) => lintPath(target, state)))
+    .then((results) => {
+      if (state.pool && !args.quiet && isTextOutput(args)) {
+        results.flat(Infinity).forEach((result) => {
+          const fmLines = isPathError(result)
+            ? []
+            : readFrontMatterLines(result.filePath, state.poolConfigs.get(result.filePath));
+          logResult(result, fmLines, args);
+        });
+      }
+
+      if (state.cache) state.cache.save();
+      return results.flat(Infinity);
+    })
+    .finally(() => state.pool && state.pool.close());
+}
+
+/**
+ * Starts the worker threads for `--concurrency`. Configs are built again in every worker from the config files,
+ * because custom linters are functions and cannot be sent to other threads.
+ * @param {LintState} state
+ * @returns {ReturnType<typeof createPool> | undefined} the pool or `undefined` if the custom linters do not come from config files or are set in overrides
+ */
+function createLintPool({ args, config }) {
+  const { extraLintFns, ...cloneableConfig } = config;
+  const getSources = (fns) => (fns || []).map((fn) => fn.toString()).join("\n");
+
+  // Only the top-level custom linters of config files are loaded again in the workers
+  if (
+    (extraLintFns && getSources(extraLintFns) !== getSources(getConfig(args).extraLintFns)) ||
+    (config.overrides || []).some((override) => override.extraLintFns)
+  ) {
+    logInfo(
+      "Linting in a single thread: custom linters which are not set in a config file, or are set in `overrides`, cannot run in worker threads.",
+      args
+    );
+    return undefined;
+  }
+
+  return createPool(__filename, args.concurrency, {
+    lintWorker: {
+      args: { ...args, quiet: true },
+      config: cloneableConfig,
+      hasExtraLintFns: Boolean(extraLintFns),
+    },
+  });
+}
+
+/**
+ * Lints files sent by the main thread in a worker thread started by `createLintPool`.
+ * @param {{ args: LintArgs, config: LintConfig, hasExtraLintFns: boolean }} data
+ */
+function startWorker({ args, config, hasExtraLintFns }) {
+  const topConfig = hasExtraLintFns
+    ? { ...config, extraLintFns: getConfig(args).extraLintFns }
+    : config;
+  /** @type {Map<string, LintConfig>} configs of the directories with nested configs */
+  const configs = new Map();
+
+  parentPort.on("message", ({ id, filePath, configDirs }) => {
+    const key = configDirs.join("\n");
+
+    if (!configs.has(key)) {
+      configs.set(
+        key,
+        configDirs.reduce((conf, dir) => getConfig(args, dir, conf), topConfig)
+      );
+    }
+
+    const state = createState(args, configs.get(key));
+
+    lintFrontMatter(filePath, undefined, state)
+      .then((result) =>
+        parentPort.postMessage({
+          id,
+          result: { result, fixableErrors: state.counts.fixableErrors },
+        })
+      )
+      .catch((error) => parentPort.postMessage({ id, error }));
+  });
+}
+
+/**
+ * Lints a file found in the linted path, in a worker thread if `--concurrency` started a pool.
+ * Workers do not log anything, so their results are logged in order by `lintTargets` once all files are linted.
+ * Files found in more than one of the linted paths are only linted once.
+ * @param {string} filePath
+ * @param {LintState} state
+ * @returns {Promise<LintResult | []>} no result if the file was already linted
+ */
+function scheduleLint(filePath, state) {
+  const { args, counts, cache, pool } = state;
+
+  if (state.linted.has(normalizePath(filePath))) return Promise.resolve([]);
+  state.linted.add(normalizePath(filePath));
+
+  if (!pool) return lintFrontMatter(filePath, undefined, state);
+
+  const config = getFileConfig(filePath, state.config);
+  state.poolConfigs.set(filePath, config);
+  const data = cache && !args.fix && !args.fixDryRun ? readFile(filePath, config) : undefined;
+  const cached = data !== undefined ? cache.get(filePath, data, config) : undefined;
+  const lint = cached
+    ? Promise.resolve(cached)
+    : pool.run({ filePath, configDirs: state.configDirs });
+
+  return lint.then(({ result, fixableErrors }) => {
+    counts.errorNumber += result.fileErrors;
+    counts.warningNumber += result.fileWarnings;
+    counts.fixableErrors += fixableErrors;
+
+    if (cache && !cached && !args.fixDryRun) {
+      cache.set(filePath, data !== undefined ? data : readFile(filePath, config), config, {
+        result,
+        fixableErrors,
+      });
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Opening and closing lines of the front matter formats. JSON front matter is either between `;;;` tags
+ * or a JSON object starting on the first line and ending with a `}` line
+ * @type {{ format: FrontMatterFormat, opening: RegExp, closing: string }[]}
+ */
+const frontMatterTags = [
+  { format: "yaml", opening: /^---/, closing: "---" },
+  { format: "toml", opening: /^\+\+\+/, closing: "+++" },
+  { format: "json", opening: /^;;;/, closing: ";;;" },
+  { format: "json", opening: /^\{\s*("|$)/, closing: "}" },
+];
+
+/** Extensions of YAML files, which are linted as a whole document instead of having front matter */
+const yamlDocumentExtensions = [".yml", ".yaml"];
+
+/**
+ * @param {string} filePath
+ * @returns {boolean} whether the file is a YAML document linted as a whole
+ */
+function isYamlDocument(filePath) {
+  return yamlDocumentExtensions.some((ext) => filePath.toLowerCase().endsWith(ext));
+}
+
+/**
+ * @param {string} filePath
+ * @param {LintConfig} config
+ * @returns {string} content of the file, decoded with the `encoding` from the config
+ */
+function readFile(filePath, config) {
+  return readFileSync(filePath, config.encoding || "utf8");
+}
+
+/**
+ * Writes the file with the `encoding` from the config.
+ * @param {string} filePath
+ * @param {string} data
+ * @param {LintConfig} config
+ */
+function writeFile(filePath, data, config) {
+  if (config.encoding) {
+    writeFileSync(filePath, data, config.encoding);
+  } else {
+    writeFileSync(filePath, data);
+  }
+}
+
+/**
+ * @param {string} data file content
+ * @param {"lf" | "crlf" | "auto"} [endOfLine] line ending from the config. `auto` uses the first one of the file
+ * @returns {"\n" | "\r\n"}
+ */
+function getEndOfLine(data, endOfLine = "auto") {
+  if (endOfLine === "lf") return "\n";
+  if (endOfLine === "crlf") return "\r\n";
+
+  const match = data.match(/\r?\n/);
+  return match ? match[0] : "\n";
+}
+
+/**
+ * @param {string} data file content
+ * @param {number} closingTagIndex line of the closing front matter tag
+ * @param {"\n" | "\r\n"} eol expected line ending
+ * @returns {number[]} front matter lines ending with another line ending. The last line of the file has none
+ */
+function findEndOfLineRows(data, closingTagIndex, eol) {
+  const lines = data.split("\n");
+  const rows = [];
+
+  for (let row = 1; row <= closingTagIndex && row < lines.length; row++) {
+    if (lines[row - 1].endsWith("\r") !== (eol === "\r\n")) rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Puts the fixed front matter back into the file content. Lines kept by the fixer keep their own line ending,
+ * and changed lines get the one of the line they replace, so files with mixed line endings are not normalized.
+ * The content after the front matter is never changed.
+ * @param {string[]} fmLines front matter lines
+ * @param {string[]} fixedFm fixed front matter lines
+ * @param {string} data file content
+ * @param {"\n" | "\r\n"} [fmEol] line ending of every front matter line instead, when `end-of-line` is enabled
+ * @returns {string} fixed file content without BOM
+ */
+function replaceFrontMatter(fmLines, fixedFm, data, fmEol) {
+  const fileLines = data.replace(/^\uFEFF/, "").split("\n");
+  const oldLines = fmLines.slice(1);
+  const newLines = fixedFm.slice(1);
+  // The last line of the file has no line ending, nor has the empty closing line added to documents
+  const getEnding = (i) =>
+    i < fileLines.length - 1 ? (fileLines[i].endsWith("\r") ? "\r\n" : "\n") : "";
+
+  const eol = getEndOfLine(data);
+  const endings = [];
+  let i = 0;
+  let j = 0;
+
+  [...getCommonLines(oldLines, newLines), [oldLines.length, newLines.length]].forEach(
+    ([ci, cj]) => {
+      // Changed lines get the endings of the lines they replace, and the last one of the last replaced line
+      for (let k = j; k < cj; k++) {
+        const ending = getEnding(Math.max(k === cj - 1 ? ci - 1 : Math.min(i + k - j, ci - 1), 0));
+        endings[k] = ending || k === cj - 1 ? ending : eol;
+      }
+      endings[cj] = getEnding(ci);
+      i = ci + 1;
+      j = cj + 1;
+    }
+  );
+
+  const fixedLines = newLines.map((line, k) => `${line}${endings[k] && (fmEol || endings[k])}`);
+  return `${fixedLines.join("")}${fileLines.slice(oldLines.length).join("\n")}`;
+}
+
+/**
+ * @param {string} data file content
+ * @param {boolean} isDocument whether the file is a YAML document linted as a whole
+ * @returns {string[]} file lines without BOM and line endings, with an empty line first so indexes are line numbers.
+ * The last line of a document is always empty, as it is used as its closing tag
+ */
+function getFileLines(data, isDocument) {
+  const lines = [
+    "",
+    ...data
+      .replace(/^\uFEFF/, "")
+      .replace(/\r/g, "")
+      .split("\n"),
+  ];
+  if (isDocument && lines[lines.length - 1] !== "") lines.push("");
+  return lines;
+}
+
+/**
+ * @param {string[]} lines lines of a YAML document, with an empty line first so indexes are line numbers
+ * @returns {number} line starting a second document in the file, or -1 if it has a single one
+ */
+function findSecondDocument(lines) {
+  let started = false;
+  let ended = false;
+
+  for (let row = 1; row < lines.length; row++) {
+    const line = lines[row];
+    if (!line.trim() || /^\s*#/.test(line) || (!started && /^%/.test(line))) continue;
+    if (ended || (started && /^---(\s|$)/.test(line))) return row;
+
+    started = true;
+    ended = /^\.\.\.(\s|$)/.test(line);
+  }
+
+  return -1;
+}
+
+/**
+ * @param {string[]} fmLines YAML front matter lines, including the `---` tags, or the lines of a YAML document
+ * @returns {string} YAML to parse, with empty lines for the tags so the lines of YAML errors are rows
+ */
+function getYaml(fmLines) {
+  return fmLines
+    .slice(1)
+    .map((line, i) => ((i === 0 || i === fmLines.length - 2) && line === "---" ? "" : line))
+    .join("\n");
+}
+
+/**
+ * Finds the front matter at the beginning of the file.
+ * @param {string[]} lines file lines, with an empty line first so indexes are line numbers
+ * @param {boolean} [isDocument] whether the file is a YAML document linted as a whole
+ * @returns {{ format: FrontMatterFormat, closingTagIndex: number } | undefined} format and closing tag line of the front matter, or `undefined` if the file does not start with front matter
+ */
+function findFrontMatter(lines, isDocument = false) {
+  if (isDocument) return { format: "yaml", closingTagIndex: lines.length - 1 };
+
+  const tags = frontMatterTags.find(({ opening }) => opening.test(lines[1]));
+  const closingTagIndex = tags ? lines.indexOf(tags.closing, 2) : -1;
+
+  if (closingTagIndex === -1) return undefined;
+
+  return { format: tags.format, closingTagIndex };
+}
+
+/**
+ * @param {string[]} fmLines front matter lines, including the tags
+ * @returns {FrontMatterFormat}
+ */
+function getFrontMatterFormat(fmLines) {
+  const tags = frontMatterTags.find(({ opening }) => opening.test(fmLines[1]));
+  return tags ? tags.format : "yaml";
+}
+
+/**
+ * @param {string} filePath
+ * @param {LintConfig} config config of the file, with its nested configs and overrides applied
+ * @returns {string[]} front matter lines of the file, as used for the snippets of logged errors
+ */
+function readFrontMatterLines(filePath, config) {
+  const isDocument = isYamlDocument(filePath);
+  const lines = getFileLines(readFile(filePath, config), isDocument);
+  const frontMatter = findFrontMatter(lines, isDocument);
+  return lines.slice(0, frontMatter ? frontMatter.closingTagIndex + 1 : 0);
+}
+
+/**
+ * Lints a file, a directory or the files matched by a glob pattern.
+ * @param {string} target path to file or directory, or a glob pattern
+ * @param {LintState} state
+ * @returns {Promise<LintResult[]>}
+ */
+function lintPath(target, state) {
+  if (isGitMode(state.args)) {
+    return lintGitFiles(target, state);
+  }
+
+  if (target.includes("*")) {
+    return lintGlob(glob.sync(target, { ignore: "node_modules/**/*" }), target, state);
+  }
+
+  if (!existsSync(target)) {
+    return Promise.resolve([reportPathError(target, "pathNotFound", state)]);
+  }
+
+  const isDirectory = lstatSync(target).isDirectory();
+
+  if (state.ignore.isIgnored(target, isDirectory)) {
+    logInfo(`Excluded: ${target}`, state.args);
+    return Promise.resolve([]);
+  }
+
+  // YAML documents given as argument are linted even if `extensions` does not include theirs
+  return state.args.recursive && (isDirectory || !isYamlDocument(target))
+    ? lintRecursively(target, state)
+    : lintNonRecursively(target, state);
+}
+
+/**
+ * Reports a path given as argument which does not exist or cannot be linted as an error of its own,
+ * so the other paths are still linted.
+ * @param {string} target
+ * @param {"pathNotFound" | "invalidExtension"} error
+ * @param {LintState} state
+ * @returns {LintResult}
+ */
+function reportPathError(target, error, { args, counts, pool }) {
+  const result = {
+    filePath: target,
+    fileErrors: 1,
+    fileWarnings: 0,
+    errors: { [error]: true },
+    warnings: {},
+  };
+
+  counts.errorNumber++;
+  // Results of worker threads are logged once all files are linted
+  if (!pool && !args.quiet && isTextOutput(args)) logResult(result, [], args);
+
+  return result;
+}
+
+/**
+ * @param {LintResult} result
+ * @returns {boolean} whether the result is from `reportPathError`, so it has no front matter lines
+ */
+function isPathError({ errors }) {
+  return Boolean(errors.pathNotFound || errors.invalidExtension);
 }
 
 /**
  * Lints the front matter of all files in a directory non-recursively.
  * @param {string} path - path to file or directory
+ * @param {LintState} state
  * @returns {Promise<LintResult[]>} - null if everything is ok, otherwise error message
  */
-function lintNonRecursively(path) {
+function lintNonRecursively(path, state) {
+  const { args, config } = state;
+
   return new Promise((resolve, reject) => {
     if (lstatSync(path).isDirectory()) {
       const files = readdirSync(path, "utf8");
 
       const promiseArr = [];
       for (const file of files) {
-        if (config.extensions.some((ext) => file.endsWith(ext))) {
-          promiseArr.push(lintFile(`${path === "." ? "" : `${path}/`}${file}`));
+        const filePath = `${path === "." ? "" : `${path}/`}${file}`;
+        if (hasLintedExtension(filePath, config) && !state.ignore.isIgnored(filePath)) {
+          promiseArr.push(scheduleLint(filePath, state));
         }
       }
 
       if (!promiseArr.length) {
-        console.log(`No markdown files found in ${path}.`);
+        logInfo(`No markdown files found in ${path}.`, args);
         return resolve([]);
       }
 
       Promise.all(promiseArr).then(resolve).catch(reject);
-    } else if (
-      config.excludeFiles.some((ignoredFile) =>
-        removeSlashes(path).endsWith(removeSlashes(ignoredFile))
-      )
-    ) {
-      console.log(`Excluded: ${path}`);
+    } else if (config.excludeFiles.some((ignoredFile) => endsWithPath(path, ignoredFile))) {
+      logInfo(`Excluded: ${path}`, args);
       return resolve([]);
-    } else if (config.extensions.some((ext) => path.endsWith(ext))) {
-      lintFile(path)
+    } else if (config.extensions.some((ext) => path.endsWith(ext)) || isYamlDocument(path)) {
+      scheduleLint(path, state)
         .then((lintRes) => resolve([lintRes]))
         .catch(reject);
     } else {
-      reject(
-        `${
-          args.colored ? chalk.red("YAMLException:") : "YAMLException:"
-        } ${path} does not have a valid extension.`
-      );
+      resolve([reportPathError(path, "invalidExtension", state)]);
     }
   });
 }
@@ -99,41 +710,38 @@ function lintNonRecursively(path) {
 /**
  * Lints the front matter of all files in a directory recursively.
  * @param {string} path - path to file or directory
+ * @param {LintState} state
  * @returns {Promise<LintResult[]>}
  */
-function lintRecursively(path) {
+function lintRecursively(path, state) {
+  const { args, config } = state;
+
   return new Promise((resolve, reject) => {
     if (lstatSync(path).isDirectory()) {
-      if (
-        allExcludedDirs.some((ignoredDirectory) =>
-          removeSlashes(path).endsWith(removeSlashes(ignoredDirectory))
-        ) &&
-        !config.includeDirs.some((includedDirectory) =>
-          removeSlashes(path).endsWith(removeSlashes(includedDirectory))
-        )
-      ) {
+      if (isExcludedDir(path, state) || state.ignore.isIgnored(path, true)) {
         return resolve([]);
       }
 
-      config = getConfig(args, path);
+      // Nested configs only apply to their own directory and its subdirectories
+      const dirState = {
+        ...state,
+        config: getConfig(args, path, config),
+        configDirs: [...state.configDirs, path],
+      };
 
       const files = readdirSync(path, "utf8");
 
       const promiseArr = [];
       for (const file of files) {
-        promiseArr.push(lintRecursively(`${path === "." ? "" : `${path}/`}${file}`));
+        promiseArr.push(lintRecursively(`${path === "." ? "" : `${path}/`}${file}`, dirState));
       }
 
       Promise.all(promiseArr).then(resolve).catch(reject);
-    } else if (
-      config.excludeFiles.some((ignoredFile) =>
-        removeSlashes(path).endsWith(removeSlashes(ignoredFile))
-      )
-    ) {
-      console.log(`Excluded: ${path}`);
+    } else if (config.excludeFiles.some((ignoredFile) => endsWithPath(path, ignoredFile))) {
+      logInfo(`Excluded: ${path}`, args);
       return resolve([]);
-    } else if (config.extensions.some((ext) => path.endsWith(ext))) {
-      lintFile(path)
+    } else if (hasLintedExtension(path, config) && !state.ignore.isIgnored(path)) {
+      scheduleLint(path, state)
         .then((lintRes) => resolve([lintRes]))
         .catch(reject);
     } else {
@@ -142,43 +750,109 @@ function lintRecursively(path) {
   });
 }
 
+/**
+ * @param {string} file path to file
+ * @param {LintConfig} config
+ * @returns {boolean} whether the file has one of the linted extensions. Config files are left out when YAML files are linted
+ */
+function hasLintedExtension(file, config) {
+  return (
+    config.extensions.some((ext) => file.endsWith(ext)) &&
+    !configFileNames.includes(file.split("/").pop())
+  );
+}
+
+/**
+ * Checks a file found with a glob pattern or in git against the ignore files and the excluded files and directories.
+ * @param {string} file path to file
+ * @param {LintState} state
+ * @returns {boolean} whether the file is not linted
+ */
+function isExcludedFile(file, state) {
+  const { args, config, allExcludedDirs } = state;
+
+  // Ignore files apply even with `--globOnly`, which only overrides the config
+  if (state.ignore.isIgnored(file)) {
+    return true;
+  }
+
+  if (args.globOnly) {
+    return false;
+  }
+
+  if (config.excludeFiles.some((ignoredFile) => endsWithPath(file, ignoredFile))) {
+    logInfo(`Excluded: ${file}`, args);
+    return true;
+  }
+
+  const excludedFrom = allExcludedDirs.filter((ignoredDirectory) =>
+    isInsideDir(file, ignoredDirectory)
+  );
+
+  if (!excludedFrom.length) {
+    return false;
+  }
+
+  return !config.includeDirs.some((includedDirectory) =>
+    new RegExp(`(${excludedFrom.join("|")}).*${includedDirectory}[\/\]`).test(file)
+  );
+}
+
 /**
  * Lints files found with the provided glob pattern.
  * @param {string[]} files array of file paths
+ * @param {string} pattern glob pattern the files were found with
+ * @param {LintState} state
  * @returns {Promise<LintResult[]>}
  */
-function lintGlob(files) {
+function lintGlob(files, pattern, state) {
   const promiseArr = files
-    .filter((file) => {
-      if (args.globOnly) {
-        return true;
-      }
+    .filter((file) => !isExcludedFile(file, state))
+    .map((file) => scheduleLint(file, state));
 
-      if (
-        config.excludeFiles.some((ignoredFile) =>
-          removeSlashes(file).endsWith(removeSlashes(ignoredFile))
-        )
-      ) {
-        console.log(`Excluded: ${file}`);
-        return false;
-      }
+  if (!promiseArr.length) {
+    logInfo(`No markdown files found with glob pattern "${pattern}".`, state.args);
+    return Promise.resolve([]);
+  }
 
-      const excludedFrom = allExcludedDirs.filter((ignoredDirectory) =>
-        removeSlashes(file).includes(removeSlashes(ignoredDirectory))
-      );
+  return Promise.all(promiseArr);
+}
 
-      if (!excludedFrom.length) {
-        return true;
-      }
+/**
+ * Lints the files changed in git, selected with `--staged`, `--changed` and `--since`.
+ * Like glob patterns, the files are linted with the config of the current working directory.
+ * @param {string} target only files inside this directory, or matching this glob pattern, are linted
+ * @param {LintState} state
+ * @returns {Promise<LintResult[]>}
+ */
+function lintGitFiles(target, state) {
+  const { args, config } = state;
+  const targetPath = normalizePath(target);
+  let changedFiles;
+
+  try {
+    changedFiles = getChangedFiles(args);
+  } catch (err) {
+    return Promise.reject(
+      `${args.colored ? chalk.red("Git error:") : "Git error:"} ${err.message}`
+    );
+  }
 
-      return config.includeDirs.some((includedDirectory) =>
-        new RegExp(`(${excludedFrom.join("|")}).*${includedDirectory}[\/\]`).test(file)
-      );
-    })
-    .map(lintFile);
+  const promiseArr = changedFiles
+    .filter((file) =>
+      targetPath.includes("*")
+        ? minimatch(file, targetPath, { dot: true })
+        : targetPath === "." ||
+          targetPath === "" ||
+          file === targetPath ||
+          isInsideDir(file, targetPath)
+    )
+    .filter((file) => hasLintedExtension(file, config) && existsSync(file))
+    .filter((file) => !isExcludedFile(file, state))
+    .map((file) => scheduleLint(file, state));
 
   if (!promiseArr.length) {
-    console.log(`No markdown files found with glob pattern "${args.path}".`);
+    logInfo(`No changed markdown files found in ${target}.`, args);
     return Promise.resolve([]);
   }
 
@@ -187,28 +861,66 @@ function lintGlob(files) {
 
 /**
  * Lints the file's YAML front matter.
+ * Each call has its own state, so the result's counts only include this file.
+ * @param {string} filePath path to file
+ * @param {string} [text] content to lint instead of reading the file
+ * @param {LintArgs} [a]
+ * @param {LintConfig} [c] config to use instead of the one found in the current working directory
+ * @returns {Promise<LintResult>}
+ */
+function lintFile(filePath, text, a = {}, c = getConfig(a)) {
+  return lintFrontMatter(filePath, text, createState(a, c, true));
+}
+
+/**
  * @param {string} filePath path to file
+ * @param {string | undefined} text content to lint instead of reading the file
+ * @param {LintState} dirState state with the config of the file's directory
  * @returns {Promise<LintResult>}
  */
-function lintFile(filePath, text = "", a = {}, c = {}) {
+function lintFrontMatter(filePath, text, dirState) {
+  // Overrides are applied per file, after the config cascade of its directory
+  const state = { ...dirState, config: getFileConfig(filePath, dirState.config) };
+  const { args, config, counts } = state;
+
   return new Promise(async (resolve, reject) => {
     try {
-      let data = "";
-
-      if (text) {
-        data = text;
-        args = { ...a };
-        config = { ...c };
-      } else {
-        data = readFileSync(filePath, "utf8");
-      }
+      const data = text !== undefined ? text : readFile(filePath, config);
+      const cache = text === undefined && !args.fixDryRun ? state.cache : undefined;
+
+      const isDocument = isYamlDocument(filePath);
+      const lines = getFileLines(data, isDocument);
+      const frontMatter = findFrontMatter(lines, isDocument);
+      const fmClosingTagIndex = frontMatter ? frontMatter.closingTagIndex : -1;
+
+      /**
+       * @param {LintResult} result
+       * @param {number} fixableErrors
+       * @param {string} content file content the result is for
+       */
+      const done = (result, fixableErrors = 0, content = data) => {
+        if (cache) cache.set(filePath, content, config, { result, fixableErrors });
+        resolve(result);
+      };
+
+      const cached = cache && !args.fix ? cache.get(filePath, data, config) : undefined;
+
+      if (cached) {
+        const { result, fixableErrors } = cached;
+
+        if (!args.quiet && isTextOutput(args)) {
+          logResult(result, lines.slice(0, fmClosingTagIndex + 1), args);
+        }
 
-      const lines = data.replace(/\r/g, "").split("\n");
-      lines.unshift("");
-      const fmClosingTagIndex = lines.indexOf("---", 2);
+        counts.errorNumber += result.fileErrors;
+        counts.warningNumber += result.fileWarnings;
+        counts.fixableErrors += fixableErrors;
+
+        return resolve(result);
+      }
 
-      if (!lines[1].startsWith("---") || fmClosingTagIndex === -1) {
-        if (!args.quiet) {
+      if (!frontMatter) {
+        if (!args.quiet && isTextOutput(args)) {
           lintLog({
             type: config.mandatory ? "Error" : "Warning",
             message: "front matter not found",
@@ -220,67 +932,170 @@ function lintFile(filePath, text = "", a = {}, c = {}) {
         }
 
         if (config.mandatory) {
-          process.exitCode = 1;
-          errorNumber++;
+          counts.errorNumber++;
         } else {
-          warningNumber++;
+          counts.warningNumber++;
         }
 
-        return resolve({
+        return done({
           filePath,
-          fileErrors: errorNumber,
-          fileWarnings: warningNumber,
-          errors: { noFrontMatter: true },
-          warnings: {},
+          fileErrors: config.mandatory ? 1 : 0,
+          fileWarnings: config.mandatory ? 0 : 1,
+          errors: config.mandatory ? { noFrontMatter: true } : {},
+          warnings: config.mandatory ? {} : { noFrontMatter: true },
         });
       }
 
       let fmLines = lines.slice(0, fmClosingTagIndex + 1);
 
       try {
-        const attributes = load(fmLines.filter((l) => l !== "---").join("\n"));
-        let basic, extra;
-
-        if (args.fix) {
-          const fixedFm = dump(attributes)
-            .split("\n")
-            .map((line) => line.replace(/\s*,$/g, ""));
-          fixedFm[fixedFm.unshift("", "---") - 1] = "---";
-          const content = lines.slice(fmClosingTagIndex + 1).join("\n");
-          writeFileSync(filePath, `${fixedFm.slice(1).join("\n")}\n${content}`);
-          fmLines = fixedFm;
+        const { format } = frontMatter;
+        // Documents are linted as a single front matter, which would merge the attributes of several documents
+        const secondDocument = isDocument ? findSecondDocument(fmLines) : -1;
+        if (secondDocument !== -1) {
+          throw new YAMLException("multiple YAML documents in one file are not supported", {
+            line: secondDocument - 1,
+            column: 0,
+          });
         }
 
-        basic = lintLineByLine(fmLines, filePath);
-        extra = extraLinters(attributes, fmLines, filePath);
-        errorNumber += basic.fileErrors + extra.fileErrors;
-        warningNumber += basic.fileWarnings + extra.fileWarnings;
+        let attributes =
+          format === "toml"
+            ? parseToml(fmLines)
+            : format === "json"
+            ? parseJson(fmLines)
+            : load(getYaml(fmLines));
+        let basic, schema, extra, output;
+
+        let fixedFm = fmLines;
+
+        // The fixer only knows YAML
+        if ((args.fix || args.fixDryRun) && format === "yaml") {
+          const options = {
+            isEnabled: (ruleId) => getRuleSeverity(ruleId, config) !== "off",
+            disabledAttributes: config.disabledAttributes,
+          };
+          // The fixer keeps the opening tag, so documents get one to have their first line fixed too
+          fixedFm = isDocument
+            ? ["", ...fixFrontMatter(["", "---", ...fmLines.slice(1)], options).slice(2)]
+            : fixFrontMatter(fmLines, options);
+        }
 
-        resolve({
+        // Fixed files keep their BOM and line endings, unless `end-of-line` expects other ones
+        const fixesEndOfLine = getRuleSeverity("end-of-line", config) !== "off";
+        const eol = getEndOfLine(data, config.endOfLine);
+        const isFixed =
+          fixedFm.join("\n") !== fmLines.join("\n") ||
+          ((args.fix || args.fixDryRun) &&
+            fixesEndOfLine &&
+            findEndOfLineRows(data, fmClosingTagIndex, eol).length > 0);
+        const getOutput = () => {
+          const bom = data.startsWith("\uFEFF") ? "\uFEFF" : "";
+          // `end-of-line` only changes the line endings of the front matter, like it only reports them
+          const fmEol = fixesEndOfLine ? eol : undefined;
+          return `${bom}${replaceFrontMatter(fmLines, fixedFm, data, fmEol)}`;
+        };
+
+        if (isFixed && !args.fixDryRun) {
+          output = getOutput();
+          if (state.writeFixes) writeFile(filePath, output, config);
+          if (fixedFm !== fmLines) {
+            fmLines = fixedFm;
+            attributes = load(getYaml(fmLines));
+          }
+        }
+
+        const directives = getDirectives(fmLines);
+        basic =
+          format === "yaml"
+            ? lintLineByLine(fmLines, filePath, state, directives)
+            : lintDataLineByLine(fmLines, attributes, format, filePath, state, directives);
+        const endOfLine = lintEndOfLine(
+          output !== undefined ? output : data,
+          fmLines,
           filePath,
-          fileErrors: errorNumber,
-          fileWarnings: warningNumber,
+          state,
+          directives
+        );
+        basic = {
+          ...basic,
+          fileErrors: basic.fileErrors + endOfLine.fileErrors,
+          fileWarnings: basic.fileWarnings + endOfLine.fileWarnings,
+          fixableErrors: basic.fixableErrors + endOfLine.fixableErrors,
+          errors: { ...basic.errors, ...endOfLine.errors },
+          warnings: { ...basic.warnings, ...endOfLine.warnings },
+          ruleIds: { ...basic.ruleIds, ...endOfLine.ruleIds },
+          fixableRuleIds: [...basic.fixableRuleIds, ...endOfLine.fixableRuleIds],
+        };
+        schema = lintSchema(fmLines, filePath, state, directives, format);
+        extra = extraLinters(attributes, fmLines, filePath, state);
+        const unused = lintUnusedDirectives(directives, fmLines, filePath, state);
+
+        const fileErrors =
+          basic.fileErrors + schema.fileErrors + extra.fileErrors + unused.fileErrors;
+        const fileWarnings = basic.fileWarnings + schema.fileWarnings + extra.fileWarnings;
+        counts.errorNumber += fileErrors;
+        counts.warningNumber += fileWarnings;
+        counts.fixableErrors += basic.fixableErrors;
+
+        const result = {
+          filePath,
+          fileErrors,
+          fileWarnings,
           errors: {
             ...basic.errors,
+            ...schema.errors,
             ...extra.extraErrors,
+            ...unused.errors,
           },
           warnings: {
             ...basic.warnings,
+            ...schema.warnings,
             ...extra.extraWarnings,
           },
-        });
+          ruleIds: { ...basic.ruleIds, ...schema.ruleIds },
+          fixableRuleIds: basic.fixableRuleIds,
+          ...(output !== undefined && !state.writeFixes ? { output } : {}),
+          ...(isFixed && args.fixDryRun
+            ? previewFix(
+                filePath,
+                withLineEndings(fmLines, data),
+                withLineEndings(fixedFm, getOutput()),
+                getOutput(),
+                basic,
+                args
+              )
+            : {}),
+        };
+
+        done(result, basic.fixableErrors, output);
       } catch (error) {
-        if (text) console.log("ERROR: ", error);
-
-        errorNumber++;
-
-        const row = error.mark ? error.mark.line + 1 : undefined;
-        const col = error.mark ? error.mark.column + 1 : undefined;
-
-        if (!args.quiet) {
+        if (
+          !(error instanceof YAMLException) &&
+          !(error instanceof TomlError) &&
+          !(error instanceof JsonError)
+        ) {
+          throw error;
+        }
+        if (text !== undefined && !args.stdin && !args.quiet) console.log("ERROR: ", error);
+
+        counts.errorNumber++;
+
+        const { message, row, col } =
+          error instanceof TomlError
+            ? getTomlErrorLocation(error)
+            : error instanceof JsonError
+            ? { message: error.reason, row: error.row, col: error.col }
+            : {
+                message: error.reason,
+                row: error.mark ? error.mark.line + 1 : undefined,
+                col: error.mark ? error.mark.column + 1 : undefined,
+              };
+
+        if (!args.quiet && isTextOutput(args)) {
           lintLog({
             type: "Error",
-            message: error.reason,
+            message,
             filePath,
             affected: [{ row, col }],
             args,
@@ -288,13 +1103,13 @@ function lintFile(filePath, text = "", a = {}, c = {}) {
           });
         }
 
-        resolve({
+        done({
           filePath,
-          fileErrors: errorNumber,
-          fileWarnings: warningNumber,
+          fileErrors: 1,
+          fileWarnings: 0,
           errors: {
             customError: {
-              message: error.reason,
+              message,
               row,
               col,
             },
@@ -308,13 +1123,259 @@ function lintFile(filePath, text = "", a = {}, c = {}) {
   });
 }
 
+/**
+ * Logs a result the same way it was logged when the file was linted, e.g. for results from the cache.
+ * @param {LintResult} result
+ * @param {string[]} fmLines front matter lines
+ * @param {LintArgs} args
+ */
+function logResult({ filePath, errors, warnings, ruleIds = {}, diff }, fmLines, args) {
+  [
+    ["Error", errors],
+    ["Warning", warnings],
+  ].forEach(([type, found]) => {
+    Object.keys(found).forEach((message) => {
+      if (message === "noFrontMatter") {
+        lintLog({
+          type,
+          message: "front matter not found",
+          filePath,
+          affected: "Make sure front matter is at the beginning of the file.",
+          args,
+          forceOneLine: true,
+        });
+      } else if (message === "pathNotFound") {
+        lintLog({
+          type,
+          message: "file or directory not found",
+          filePath,
+          affected: "Make sure the path exists.",
+          args,
+          forceOneLine: true,
+        });
+      } else if (message === "invalidExtension") {
+        lintLog({
+          type,
+          message: "file does not have a valid extension",
+          filePath,
+          affected: "Add its extension to `extensions` in the config to lint it.",
+          args,
+          forceOneLine: true,
+        });
+      } else if (message === "customError") {
+        const { row, col } = found.customError;
+        lintLog({
+          type,
+          message: found.customError.message,
+          filePath,
+          affected: [{ row, col }],
+          args,
+          fmLines,
+        });
+      } else if (found[message].length > 0) {
+        lintLog({
+          type,
+          message,
+          ruleId: ruleIds[message],
+          filePath,
+          fmLines,
+          affected: found[message],
+          args,
+          forceOneLine: oneLineErrors.includes(message),
+        });
+      }
+    });
+  });
+
+  if (diff) logDiff(diff, args);
+}
+
+/**
+ * Shows what `--fix` would change in the file without writing it.
+ * @param {string} filePath path to file
+ * @param {string[]} fmLines front matter lines
+ * @param {string[]} fixedFm fixed front matter lines
+ * @param {string} output fixed file content
+ * @param {LintResult} basic result of `lintLineByLine` for the unfixed front matter
+ * @param {LintArgs} args
+ * @returns {{output: string, diff: string, fixes: {oldStart: number, oldLines: number, newStart: number, newLines: number, ruleIds: string[]}[]}}
+ */
+function previewFix(filePath, fmLines, fixedFm, output, basic, args) {
+  const rowRules = {};
+
+  Object.keys(basic.errors).forEach((message) => {
+    const ruleId = basic.ruleIds[message];
+    if (!ruleId || !rules[ruleId].fixable) return;
+
+    basic.errors[message].forEach((affected) => {
+      const row = typeof affected === "object" ? affected.row : affected;
+      rowRules[row] = [...(rowRules[row] || []), ruleId];
+    });
+  });
+
+  const hunks = getHunks(fmLines.slice(1), fixedFm.slice(1)).map((hunk) => {
+    const ruleIds = [];
+    let row = hunk.oldStart;
+
+    hunk.lines.forEach((line) => {
+      if (line.startsWith("+")) return;
+      if (line.startsWith("-")) ruleIds.push(...(rowRules[row] || []));
+      row++;
+    });
+
+    return { ...hunk, ruleIds: Object.keys(rules).filter((ruleId) => ruleIds.includes(ruleId)) };
+  });
+
+  const diff = formatUnifiedDiff(filePath, hunks);
+
+  if (!args.quiet && isTextOutput(args)) {
+    logDiff(diff, args);
+  }
+
+  return {
+    output,
+    diff,
+    fixes: hunks.map(({ lines, ...hunk }) => hunk),
+  };
+}
+
+/**
+ * @param {string[]} fmLines front matter lines
+ * @param {string} data file content the lines are from
+ * @returns {string[]} front matter lines ending with `\r` where the file has `\r\n` line endings, so diffs show changed line endings
+ */
+function withLineEndings(fmLines, data) {
+  const lines = data.split("\n");
+  return fmLines.map((line, i) =>
+    i > 0 && i < lines.length && lines[i - 1].endsWith("\r") ? `${line}\r` : line
+  );
+}
+
+/**
+ * Checks that the front matter lines end with the `endOfLine` line ending from the config.
+ * @param {string} data file content
+ * @param {string[]} fmLines front matter lines
+ * @param {string} filePath path to the file
+ * @param {LintState} state
+ * @param {ReturnType<typeof getDirectives>} directives `fmlint-*` comments of the front matter
+ * @returns {LintResult & { fixableErrors: number }}
+ */
+function lintEndOfLine(data, fmLines, filePath, state, directives) {
+  const eol = getEndOfLine(data, state.config.endOfLine);
+  const found = { "end-of-line": findEndOfLineRows(data, fmLines.length - 1, eol) };
+  return reportLineRules(found, fmLines, filePath, state, directives);
+}
+
+/**
+ * Validates the front matter against the JSON Schema from the config.
+ * @param {string[]} fmLines front matter line array
+ * @param {string} filePath path to file
+ * @param {LintState} state
+ * @param {ReturnType<typeof getDirectives>} [directives] `fmlint-*` comments of the front matter
+ * @param {FrontMatterFormat} [format] format of the front matter, found from its opening tag by default
+ * @returns {{errors: {[msg: string]: Affected}, warnings: {[msg: string]: Affected}, fileErrors: number, fileWarnings: number, ruleIds: {[message: string]: string}}}
+ */
+function lintSchema(
+  fmLines,
+  filePath,
+  state,
+  directives = getDirectives(fmLines),
+  format = getFrontMatterFormat(fmLines)
+) {
+  const { args, config } = state;
+  const errors = {};
+  const warnings = {};
+  const ruleIds = {};
+  const severity = getRuleSeverity("schema", config);
+
+  if (!config.schema || severity === "off") {
+    return { errors, warnings, fileErrors: 0, fileWarnings: 0, ruleIds };
+  }
+
+  // TOML dates become strings like YAML timestamps
+  const attributes =
+    format === "toml"
+      ? JSON.parse(JSON.stringify(parseToml(fmLines)))
+      : format === "json"
+      ? parseJson(fmLines)
+      : load(getYaml(fmLines), { schema: schemaYamlSchema });
+  const violations = validateSchema(
+    attributes,
+    fmLines,
+    config.schema,
+    { toml: findTomlAttribute, json: findJsonAttribute }[format]
+  ).filter(({ row }) => !directives.isDisabled("schema", row));
+  const found = severity === "error" ? errors : warnings;
+
+  violations.forEach(({ message, ...location }) => {
+    found[message] = [...(found[message] || []), location];
+    ruleIds[message] = "schema";
+  });
+
+  if (!args.quiet && isTextOutput(args)) {
+    Object.keys(found).forEach((message) => {
+      lintLog({
+        type: severity === "error" ? "Error" : "Warning",
+        message,
+        ruleId: "schema",
+        filePath,
+        fmLines,
+        affected: found[message],
+        args,
+      });
+    });
+  }
+
+  return {
+    errors,
+    warnings,
+    fileErrors: severity === "error" ? violations.length : 0,
+    fileWarnings: severity === "error" ? 0 : violations.length,
+    ruleIds,
+  };
+}
+
+/**
+ * Reports `fmlint-disable*` comments which did not disable any problem, if `--report-unused-disable-directives` is used.
+ * @param {ReturnType<typeof getDirectives>} directives directives used to lint the front matter
+ * @param {string[]} fmLines front matter line array
+ * @param {string} filePath path to file
+ * @param {LintState} state
+ * @returns {{errors: {[msg: string]: Affected}, fileErrors: number}}
+ */
+function lintUnusedDirectives(directives, fmLines, filePath, state) {
+  const { args } = state;
+  const errors = {};
+
+  if (!args.reportUnusedDisableDirectives) return { errors, fileErrors: 0 };
+
+  const unused = directives.getUnused();
+
+  unused.forEach(({ directive: { row, col, colStart, colEnd }, ruleId }) => {
+    const message = ruleId
+      ? `${errorMessages.unusedDirective} for ${ruleId}`
+      : errorMessages.unusedDirective;
+    errors[message] = [...(errors[message] || []), { row, col, colStart, colEnd }];
+  });
+
+  if (!args.quiet && isTextOutput(args)) {
+    Object.keys(errors).forEach((message) => {
+      lintLog({ type: "Error", message, filePath, fmLines, affected: errors[message], args });
+    });
+  }
+
+  return { errors, fileErrors: unused.length };
+}
+
 /**
  * @param {{[key: string]: any}} attributes YAML front matter / metadata pairs
  * @param {string[]} fmLines front matter line array
  * @param {string} filePath path to file
+ * @param {LintState} state
  * @returns {{extraErrors: {[msg: string]: Affected[]}, extraWarnings: {[msg: string]: Affected[]}, fileErrors: number, fileWarnings: number}}
  */
-function extraLinters(attributes, fmLines, filePath) {
+function extraLinters(attributes, fmLines, filePath, state) {
+  const { args, config } = state;
   let extraErrors = {};
   let extraWarnings = {};
   let fileErrors = 0;
@@ -330,7 +1391,9 @@ function extraLinters(attributes, fmLines, filePath) {
    * @param {Affected} affected - array of string values, line numbers or exact locations of errors or warnings. If omitted, errors/warnings will be shown on the opening front matter tags. `colStart` and `colEnd` are used by the VS Code extension.
    */
   function extraLintLog(type, message, affected) {
-    lintLog({ type, message, filePath, affected, args, fmLines });
+    if (!args.quiet && isTextOutput(args)) {
+      lintLog({ type, message, filePath, affected, args, fmLines });
+    }
 
     const updateObj = (arr, msg, aff) => ({
       ...arr,
@@ -359,54 +1422,126 @@ function extraLinters(attributes, fmLines, filePath) {
 }
 
 /**
- * Parses given string and logs errors if any.
- * @param {string[]} fmLines front matter lines to parse
+ * Applies the configured severities and `fmlint-*` directives to the problems found by the line rules and logs them.
+ * @param {{[ruleId: string]: Affected}} found problems of each checked rule
+ * @param {string[]} fmLines front matter lines
  * @param {string} filePath path to the file
- * @returns {LintResult}
+ * @param {LintState} state
+ * @param {ReturnType<typeof getDirectives>} directives `fmlint-*` comments of the front matter
+ * @param {boolean} [canFix] whether `--fix` can fix the front matter, so fixable rules are counted as fixable
+ * @returns {LintResult & { fixableErrors: number }}
  */
-function lintLineByLine(fmLines, filePath) {
+function reportLineRules(found, fmLines, filePath, state, directives, canFix = true) {
+  const { args, config } = state;
   let fileErrors = 0;
   let fileWarnings = 0;
+  let fixableErrors = 0;
+
+  const basicErrors = {};
+  const basicWarnings = {};
+  const ruleIds = {};
+  const fixableRuleIds = [];
+
+  Object.keys(found).forEach((ruleId) => {
+    const { message, fixable } = rules[ruleId];
+    const severity = getRuleSeverity(ruleId, config);
+
+    if (severity === "off") return;
+
+    ruleIds[message] = ruleId;
+    const affected = directives.filter(ruleId, found[ruleId]);
+
+    if (severity === "error") {
+      basicErrors[message] = [...(basicErrors[message] || []), ...affected];
+      fileErrors += affected.length;
+      if (fixable && canFix) {
+        fixableErrors += affected.length;
+        fixableRuleIds.push(ruleId);
+      }
+    } else {
+      basicWarnings[message] = [...(basicWarnings[message] || []), ...affected];
+      fileWarnings += affected.length;
+    }
+  });
+
+  if (!args.quiet && isTextOutput(args)) {
+    Object.keys(basicErrors).forEach((message) => {
+      if (basicErrors[message].length > 0) {
+        lintLog({
+          type: "Error",
+          message,
+          ruleId: ruleIds[message],
+          filePath,
+          fmLines,
+          affected: basicErrors[message],
+          args,
+          forceOneLine: oneLineErrors.includes(message),
+        });
+      }
+    });
+
+    Object.keys(basicWarnings).forEach((message) => {
+      if (basicWarnings[message].length > 0) {
+        lintLog({
+          type: "Warning",
+          message,
+          ruleId: ruleIds[message],
+          filePath,
+          fmLines,
+          affected: basicWarnings[message],
+          args,
+          forceOneLine: oneLineErrors.includes(message),
+        });
+      }
+    });
+  }
+
+  return {
+    filePath,
+    fileErrors,
+    fileWarnings,
+    fixableErrors,
+    errors: basicErrors,
+    warnings: basicWarnings,
+    ruleIds,
+    fixableRuleIds,
+  };
+}
+
+/**
+ * Parses given string and logs errors if any.
+ * @param {string[]} fmLines front matter lines to parse
+ * @param {string} filePath path to the file
+ * @param {LintState} state
+ * @param {ReturnType<typeof getDirectives>} [directives] `fmlint-*` comments of the front matter
+ * @returns {LintResult & { fixableErrors: number }}
+ */
+function lintLineByLine(fmLines, filePath, state, directives = getDirectives(fmLines)) {
+  const { config } = state;
   let match;
   let skip = false;
 
-  const basicErrors = Object.keys(errorMessages).reduce(
-    (acc, key) => ({
+  const found = lineRuleIds.reduce(
+    (acc, ruleId) => ({
       ...acc,
-      [errorMessages[key]]: [],
+      [ruleId]: [],
     }),
     {}
   );
-  basicErrors[errorMessages.missingAttributes] = [...config.requiredAttributes];
-
-  const basicWarnings = Object.keys(warningMessages).reduce(
-    (acc, key) => ({
-      ...acc,
-      [warningMessages[key]]: [],
-    }),
-    {}
-  );
-
-  const oneLineErrors = [errorMessages.blankLines, errorMessages.missingAttributes];
+  found["required-attributes"] = [...config.requiredAttributes];
 
   for (let i = 1; i < fmLines.length - 1; i++) {
     let line = fmLines[i];
 
-    if (/^\s*#/.test(line)) {
-      if (line.includes("fmlint-disable-next-line")) i++;
-      continue;
-    }
+    if (/^\s*#/.test(line)) continue;
 
     if (/\s+#/.test(line)) {
-      if (line.includes("fmlint-disable-line")) continue;
       line = line.substring(0, line.search(/\s*#/));
     }
 
     // no-empty-lines
-    if (!args.fix && line.trim() === "") {
-      fileErrors++;
-      fixableErrors++;
-      basicErrors[errorMessages.blankLines].push(i);
+    if (line.trim() === "") {
+      found["no-empty-lines"].push(i);
       continue;
     }
 
@@ -416,9 +1551,9 @@ function lintLineByLine(fmLines, filePath) {
 
       skip = config.disabledAttributes.includes(atr);
 
-      const atrIndex = basicErrors[errorMessages.missingAttributes].indexOf(atr);
+      const atrIndex = found["required-attributes"].indexOf(atr);
       if (atrIndex > -1) {
-        basicErrors[errorMessages.missingAttributes].splice(atrIndex, 1);
+        found["required-attributes"].splice(atrIndex, 1);
       }
     }
 
@@ -426,14 +1561,12 @@ function lintLineByLine(fmLines, filePath) {
 
     // no-whitespace-before-colon
     const wsbcRegex = /(\s+):/g;
-    while (!args.fix && (match = wsbcRegex.exec(line)) !== null) {
+    while ((match = wsbcRegex.exec(line)) !== null) {
       const wsbcLength = match[1].length + 1;
-      fileErrors++;
-      fixableErrors++;
       const row = i;
       const col = match.index + match[0].search(/:/) + 1;
       wsbcRegex.lastIndex = col - 1;
-      basicErrors[errorMessages.spacesBeforeColon].push({
+      found["no-whitespace-before-colon"].push({
         row,
         col,
         colStart: col - wsbcLength,
@@ -443,13 +1576,11 @@ function lintLineByLine(fmLines, filePath) {
 
     // no-quotes
     const quoteRegex = /['"]/g;
-    while (!args.fix && (match = quoteRegex.exec(line)) !== null) {
+    while ((match = quoteRegex.exec(line)) !== null) {
       quoteRegex.lastIndex = match.index + 1;
-      fileErrors++;
-      fixableErrors++;
       const row = i;
       const col = match.index + match[0].search(quoteRegex) + 2;
-      basicErrors[errorMessages.quotes].push({
+      found["no-quotes"].push({
         row,
         col,
       });
@@ -457,13 +1588,11 @@ function lintLineByLine(fmLines, filePath) {
 
     // no-trailing-spaces
     const trailingSpaceRegex = /(\s+)$/g;
-    if (!args.fix && line.search(trailingSpaceRegex) !== -1) {
+    if (line.search(trailingSpaceRegex) !== -1) {
       const spaceCount = trailingSpaceRegex.exec(line)[0].length + 1;
-      fileErrors++;
-      fixableErrors++;
       const row = i;
       const col = line.length + 1;
-      basicErrors[errorMessages.trailingSpaces].push({
+      found["no-trailing-spaces"].push({
         row,
         col,
         colStart: col - spaceCount,
@@ -473,13 +1602,11 @@ function lintLineByLine(fmLines, filePath) {
 
     // no-brackets
     const bracketsRegex = /[\[\]]/g;
-    while (!args.fix && (match = bracketsRegex.exec(line)) !== null) {
+    while ((match = bracketsRegex.exec(line)) !== null) {
       bracketsRegex.lastIndex = match.index + 1;
-      fileErrors++;
-      fixableErrors++;
       const row = i;
       const col = match.index + match[0].search(bracketsRegex) + 2;
-      basicErrors[errorMessages.brackets].push({
+      found["no-brackets"].push({
         row,
         col,
       });
@@ -487,13 +1614,11 @@ function lintLineByLine(fmLines, filePath) {
 
     // no-curly-braces
     const curlyBraceRegex = /[\{\}]/g;
-    while (!args.fix && (match = curlyBraceRegex.exec(line)) !== null) {
+    while ((match = curlyBraceRegex.exec(line)) !== null) {
       curlyBraceRegex.lastIndex = match.index + 1;
-      fileErrors++;
-      fixableErrors++;
       const row = i;
       const col = match.index + match[0].search(curlyBraceRegex) + 2;
-      basicErrors[errorMessages.curlyBraces].push({
+      found["no-curly-braces"].push({
         row,
         col,
       });
@@ -501,15 +1626,13 @@ function lintLineByLine(fmLines, filePath) {
 
     // incorrect-indentation
     const indentationCurr = line.search(/\S/g);
-    if (!args.fix && indentationCurr > 0) {
+    if (indentationCurr > 0) {
       let indentationPrev = fmLines[i - 1].search(/\S/g);
       indentationPrev = indentationPrev === -1 ? 0 : indentationPrev;
       if (indentationCurr - indentationPrev > 2) {
-        fileErrors++;
-        fixableErrors++;
         const row = i;
         const col = indentationCurr + 1;
-        basicErrors[errorMessages.indentation].push({
+        found["incorrect-indentation"].push({
           row,
           col,
           colStart: 0,
@@ -523,10 +1646,9 @@ function lintLineByLine(fmLines, filePath) {
     while ((match = repeatingSpaceRegex.exec(line)) !== null) {
       const spaceCount = match[1].length + 1;
       repeatingSpaceRegex.lastIndex = match.index + 1;
-      fileWarnings++;
       const row = i;
       const col = match.index + match[0].search(/\s\w/g) + 2;
-      basicWarnings[warningMessages.repeatingSpaces].push({
+      found["no-repeating-spaces"].push({
         row,
         col,
         colStart: col - spaceCount,
@@ -534,15 +1656,14 @@ function lintLineByLine(fmLines, filePath) {
       });
     }
 
-    // one-space-after-colon
+    // no-repeating-spaces: one space after colon
     const spacesAfterColon = /:([ \t]{2,})\S/g;
-    while (!args.fix && (match = spacesAfterColon.exec(line)) !== null) {
+    while ((match = spacesAfterColon.exec(line)) !== null) {
       const spaceCount = match[1].length + 1;
       spacesAfterColon.lastIndex = match.index + 1;
-      fileWarnings++;
       const row = i;
       const col = match.index + match[0].search(/[ \t]\S/g) + 2;
-      basicWarnings[warningMessages.repeatingSpaces].push({
+      found["no-repeating-spaces"].push({
         row,
         col,
         colStart: col - spaceCount,
@@ -550,71 +1671,122 @@ function lintLineByLine(fmLines, filePath) {
       });
     }
 
-    // no-trailing-commas
-    const trailingCommaRegex = /,\s*$/g;
-    if (!args.fix && line.search(trailingCommaRegex) !== -1) {
-      fileErrors++;
-      fixableErrors++;
-      const row = i;
+    // no-trailing-commas
+    const trailingCommaRegex = /,\s*$/g;
+    if (line.search(trailingCommaRegex) !== -1) {
+      const row = i;
+      const col = line.length + 1;
+      found["no-trailing-commas"].push({
+        row,
+        col,
+      });
+    }
+
+    // warn-commas
+    const commaInFrontMatterRegex = /,./g;
+    while ((match = commaInFrontMatterRegex.exec(line)) !== null) {
+      commaInFrontMatterRegex.lastIndex = match.index + 1;
+      const row = i;
+      const col = match.index + 2;
+      found["warn-commas"].push({
+        row,
+        col,
+      });
+    }
+  }
+
+  return reportLineRules(found, fmLines, filePath, state, directives);
+}
+
+/**
+ * Checks the lines of TOML or JSON front matter and logs errors if any.
+ * @param {string[]} fmLines front matter lines, including the tags
+ * @param {{[key: string]: any}} attributes parsed front matter
+ * @param {"toml" | "json"} format
+ * @param {string} filePath path to the file
+ * @param {LintState} state
+ * @param {ReturnType<typeof getDirectives>} [directives] `fmlint-*` comments of the front matter
+ * @returns {LintResult & { fixableErrors: number }}
+ */
+function lintDataLineByLine(
+  fmLines,
+  attributes,
+  format,
+  filePath,
+  state,
+  directives = getDirectives(fmLines)
+) {
+  const { config } = state;
+  let match;
+  let skip = false;
+
+  const found = dataLineRuleIds[format].reduce((acc, ruleId) => ({ ...acc, [ruleId]: [] }), {});
+  found["required-attributes"] = config.requiredAttributes.filter(
+    (atr) => !Object.prototype.hasOwnProperty.call(attributes, atr)
+  );
+
+  const dataLines = format === "toml" ? getTomlLines(fmLines) : getJsonLines(fmLines);
+
+  dataLines.forEach(({ row, line: dataLine, attribute }) => {
+    let line = dataLine;
+
+    // JSON has no comments
+    if (format === "toml" && /^\s*#/.test(line)) return;
+
+    if (format === "toml" && /\s+#/.test(line)) {
+      line = line.substring(0, line.search(/\s*#/));
+    }
+
+    // no-empty-lines
+    if (line.trim() === "") {
+      found["no-empty-lines"].push(row);
+      return;
+    }
+
+    // attributes
+    if (attribute !== undefined) {
+      skip = config.disabledAttributes.includes(attribute);
+    }
+
+    if (skip) return;
+
+    // no-trailing-spaces
+    const trailingSpaceRegex = /(\s+)$/g;
+    if (line.search(trailingSpaceRegex) !== -1) {
+      const spaceCount = trailingSpaceRegex.exec(line)[0].length + 1;
       const col = line.length + 1;
-      basicErrors[errorMessages.trailingCommas].push({
+      found["no-trailing-spaces"].push({ row, col, colStart: col - spaceCount, colEnd: col });
+    }
+
+    // no-repeating-spaces
+    const repeatingSpaceRegex = /\w(\s{2,})\w/g;
+    while ((match = repeatingSpaceRegex.exec(line)) !== null) {
+      const spaceCount = match[1].length + 1;
+      repeatingSpaceRegex.lastIndex = match.index + 1;
+      const col = match.index + match[0].search(/\s\w/g) + 2;
+      found["no-repeating-spaces"].push({
         row,
         col,
+        colStart: col - spaceCount,
+        colEnd: col - 1,
       });
     }
 
-    // warn-commas-in-front-matter
-    const commaInFrontMatterRegex = /,./g;
-    while ((match = commaInFrontMatterRegex.exec(line)) !== null) {
-      commaInFrontMatterRegex.lastIndex = match.index + 1;
-      fileWarnings++;
-      const row = i;
-      const col = match.index + 2;
-      basicWarnings[warningMessages.warnCommas].push({
+    // spaces-around-equals
+    const keyValue = format === "toml" && matchKeyValue(line);
+    if (keyValue && (keyValue[3] !== " " || keyValue[4] !== " ")) {
+      const colStart = keyValue[1].length + keyValue[2].length;
+      const col = colStart + keyValue[3].length + 1;
+      found["spaces-around-equals"].push({
         row,
         col,
+        colStart,
+        colEnd: col + keyValue[4].length,
       });
     }
-  }
-
-  fileErrors += basicErrors[errorMessages.missingAttributes].length;
-
-  if (!args.quiet) {
-    Object.keys(basicErrors).forEach((message) => {
-      if (basicErrors[message].length > 0) {
-        lintLog({
-          type: "Error",
-          message,
-          filePath,
-          fmLines,
-          affected: basicErrors[message],
-          args,
-          forceOneLine: oneLineErrors.includes(message),
-        });
-      }
-    });
-
-    Object.keys(basicWarnings).forEach((message) => {
-      if (basicWarnings[message].length > 0) {
-        lintLog({
-          type: "Warning",
-          message,
-          filePath,
-          fmLines,
-          affected: basicWarnings[message],
-          args,
-        });
-      }
-    });
-  }
+  });
 
-  return {
-    filePath,
-    fileErrors,
-    fileWarnings,
-    errors: basicErrors,
-    warnings: basicWarnings,
-  };
+  return reportLineRules(found, fmLines, filePath, state, directives, false);
 }
 
 /**
@@ -622,56 +1794,359 @@ function lintLineByLine(fmLines, filePath) {
  * @returns {LintArgs} - arguments object
  */
 function getArguments() {
-  let pathRead = false;
+  const paths = [];
   const argv = process.argv.slice(2).reduce((acc, curr) => {
     let [key, value] = curr.split("=");
     if (key.startsWith("-")) {
       key = key.replace(/^-{1,2}/, "");
-    } else if (!pathRead) {
-      value = key;
-      key = "path";
-      pathRead = true;
     } else {
-      value = key;
+      value = curr;
       key = "path";
-      console.log(
-        `${chalk.red("Invalid argument:")} ${chalk.yellow(
-          `\"${curr}\"`
-        )}. Only one path argument is allowed.`
-      );
-      process.exitCode = 9;
     }
 
-    if (key === "path") {
+    if (key === "path" || (key === "stdin-filename" && value)) {
       if (value.startsWith(cwd)) {
         value = value.replace(`${cwd}/`, "");
       }
       value = value.replace(/\\/g, "/");
     }
 
+    // Files, directories and glob patterns are all linted, each only once
+    if (key === "path") {
+      if (!paths.includes(value)) paths.push(value);
+      return acc;
+    }
+
     acc[key] = value === "false" ? false : value === undefined ? true : value;
     return acc;
   }, {});
 
-  if (!pathRead) {
+  if (!paths.length && !argv.stdin && !isGitMode(argv)) {
     console.log(
       `${chalk.red("Invalid arguments:")} No path argument found. Please specify a path.`
     );
     process.exitCode = 9;
   }
 
+  if (argv.format !== undefined && argv.format !== "text" && !formatters[argv.format]) {
+    console.log(
+      `${chalk.red("Invalid argument:")} ${chalk.yellow(
+        `\"--format=${argv.format}\"`
+      )}. Available formats: text, ${Object.keys(formatters).join(", ")}.`
+    );
+    process.exitCode = 9;
+  }
+
+  const concurrency =
+    argv.concurrency === "auto"
+      ? os.availableParallelism
+        ? os.availableParallelism()
+        : os.cpus().length
+      : Number(argv.concurrency !== undefined ? argv.concurrency : 1);
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.log(
+      `${chalk.red("Invalid argument:")} ${chalk.yellow(
+        `\"--concurrency=${argv.concurrency}\"`
+      )}. Use a positive number of threads or "auto".`
+    );
+    process.exitCode = 9;
+  }
+
+  if (argv.since === true || (typeof argv.since === "string" && argv.since.startsWith("-"))) {
+    console.log(
+      `${chalk.red("Invalid argument:")} ${chalk.yellow(
+        `\"--since${argv.since === true ? "" : `=${argv.since}`}\"`
+      )}. Use a commit, branch or tag, e.g. --since=main.`
+    );
+    process.exitCode = 9;
+  }
+
+  if (isGitMode(argv) && (argv.stdin || argv.watch)) {
+    console.log(
+      `${chalk.red("Invalid arguments:")} ${chalk.yellow(
+        "--staged, --changed and --since"
+      )} cannot be used with --stdin or --watch.`
+    );
+    process.exitCode = 9;
+  }
+
+  if (argv.watch && (argv.stdin || (argv.format !== undefined && argv.format !== "text"))) {
+    console.log(
+      `${chalk.red("Invalid arguments:")} ${chalk.yellow(
+        "--watch"
+      )} can only be used with paths and the text format.`
+    );
+    process.exitCode = 9;
+  }
+
   return {
     colored: argv.colored !== undefined ? argv.colored : argv.c !== undefined ? argv.c : true,
+    concurrency,
     config: argv.config,
+    cache: argv.cache !== undefined ? argv.cache : false,
+    cacheLocation: argv["cache-location"] !== undefined ? argv["cache-location"] : ".fmlintcache",
+    changed: argv.changed !== undefined ? argv.changed : false,
     fix: argv.fix !== undefined ? argv.fix : false,
+    fixDryRun: argv["fix-dry-run"] !== undefined ? argv["fix-dry-run"] : false,
+    format:
+      argv.format !== undefined
+        ? argv.format
+        : process.env.GITHUB_ACTIONS === "true"
+        ? "github"
+        : "text",
     globOnly: argv.globOnly !== undefined ? argv.globOnly : false,
     mandatory: argv.mandatory !== undefined ? argv.mandatory : argv.m !== undefined ? argv.m : true,
     oneline: argv.oneline !== undefined ? argv.oneline : argv.o !== undefined ? argv.o : false,
-    path: argv.path,
+    path: paths[0],
+    paths,
     quiet: argv.quiet !== undefined ? argv.quiet : argv.q !== undefined ? argv.q : false,
     recursive:
       argv.recursive !== undefined ? argv.recursive : argv.r !== undefined ? argv.r : false,
+    reportUnusedDisableDirectives:
+      argv["report-unused-disable-directives"] !== undefined
+        ? argv["report-unused-disable-directives"]
+        : false,
+    since: argv.since,
     slash: argv.backslash || argv.bs ? "back" : "forward",
+    staged: argv.staged !== undefined ? argv.staged : false,
+    stdin: argv.stdin !== undefined ? argv.stdin : false,
+    stdinFilename: argv["stdin-filename"],
+    watch: argv.watch !== undefined ? argv.watch : false,
+  };
+}
+
+/**
+ * Overrides config properties with the ones from `newConf`. Rule severities are merged rule by rule.
+ * @param {LintConfig} conf config to override
+ * @param {Partial<LintConfig>} newConf config with overriding properties
+ * @param {string} configDir directory of the config file, used to resolve the `schema` path
+ * @returns {LintConfig}
+ */
+function mergeConfig(conf, newConf, configDir) {
+  return {
+    ...conf,
+    ...newConf,
+    rules: { ...conf.rules, ...newConf.rules },
+    schema:
+      typeof newConf.schema === "string"
+        ? path.resolve(cwd, configDir, newConf.schema)
+        : newConf.schema !== undefined
+        ? newConf.schema
+        : conf.schema,
+    overrides: [
+      ...(conf.overrides || []),
+      ...(newConf.overrides || []).map((override) => ({
+        ...override,
+        configDir: path.resolve(cwd, configDir),
+      })),
+    ],
+  };
+}
+
+/** Configs with overrides applied, by base config and the indexes of the applied overrides */
+const fileConfigs = new WeakMap();
+
+/**
+ * Applies the `overrides` whose `files` patterns match the file, in the order they are defined.
+ * Patterns are relative to the directory of the config file they are defined in.
+ * @param {string} filePath path to file
+ * @param {LintConfig} config config of the file's directory
+ * @returns {LintConfig}
+ */
+function getFileConfig(filePath, config) {
+  const matching = (config.overrides || []).filter(({ files, configDir = cwd }) => {
+    const relativePath = path.relative(configDir, path.resolve(cwd, filePath)).replace(/\\/g, "/");
+
+    return []
+      .concat(files)
+      .some((pattern) => minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+  });
+
+  if (!matching.length) return config;
+
+  if (!fileConfigs.has(config)) fileConfigs.set(config, new Map());
+  const configs = fileConfigs.get(config);
+  const key = matching.map((override) => config.overrides.indexOf(override)).join();
+
+  if (!configs.has(key)) {
+    configs.set(
+      key,
+      matching.reduce(
+        (conf, { files, configDir = cwd, ...override }) => mergeConfig(conf, override, configDir),
+        config
+      )
+    );
+  }
+
+  return configs.get(key);
+}
+
+/**
+ * Merges a config over the one it extends. `rules` are merged rule by rule and `extraLintFns` and `overrides`
+ * are appended, so shared custom linters and overrides run too. Other properties, including arrays, are replaced.
+ * @param {Partial<LintConfig>} base extended config
+ * @param {Partial<LintConfig>} conf extending config
+ * @returns {Partial<LintConfig>}
+ */
+function extendConfig(base, conf) {
+  const extended = { ...base, ...conf, rules: { ...base.rules, ...conf.rules } };
+
+  ["extraLintFns", "overrides"].forEach((key) => {
+    if (base[key] || conf[key]) extended[key] = [...(base[key] || []), ...(conf[key] || [])];
+  });
+
+  return extended;
+}
+
+/**
+ * Loads a JavaScript module config. ES modules are loaded with `require` too, which Node.js supports since 20.19.
+ * @param {string} filePath absolute path to the config file
+ * @param {string} source path shown in errors
+ * @returns {any} the default export of ES modules, or `module.exports`
+ */
+function requireConfig(filePath, source) {
+  let loaded;
+
+  try {
+    loaded = require(filePath);
+  } catch (e) {
+    if (e.code === "ERR_REQUIRE_ESM") {
+      throw new ConfigError(
+        `Cannot load ES module config ${source} with Node.js ${process.version}. Use Node.js 20.19 or later, or a .cjs, .json or .yaml config.`
+      );
+    }
+    if (e.code === "ERR_REQUIRE_ASYNC_MODULE") {
+      throw new ConfigError(`Cannot load config ${source}: top-level await is not supported.`);
+    }
+    throw e;
+  }
+
+  if (loaded && loaded[Symbol.toStringTag] === "Module") {
+    return "default" in loaded ? loaded.default : { ...loaded };
+  }
+
+  return loaded;
+}
+
+/**
+ * Reads the contents of a config file: a JavaScript module, JSON, YAML or the `"yaml-fm-lint"` key of `package.json`.
+ * @param {string} filePath absolute path to the config file
+ * @param {string} source path shown in errors
+ * @returns {any}
+ */
+function loadConfigFile(filePath, source) {
+  if (/\.[cm]?js$/.test(filePath)) return requireConfig(filePath, source);
+
+  try {
+    const text = readFileSync(filePath, "utf8");
+
+    if (/\.ya?ml$/.test(filePath)) {
+      const loaded = load(text);
+      return loaded === undefined || loaded === null ? {} : loaded;
+    }
+
+    const loaded = JSON.parse(text);
+    return path.basename(filePath) === "package.json" ? loaded["yaml-fm-lint"] : loaded;
+  } catch (e) {
+    throw new ConfigError(`Cannot read config ${source}: ${e.message}`);
+  }
+}
+
+/** Config files looked up in every directory, in order of priority */
+const configFileNames = [
+  ".yaml-fm-lint.js",
+  ".yaml-fm-lint.cjs",
+  ".yaml-fm-lint.mjs",
+  ".yaml-fm-lint.json",
+  ".yaml-fm-lint.yaml",
+  ".yaml-fm-lint.yml",
+];
+
+/**
+ * @param {string} dir
+ * @returns {string | undefined} path to the directory's config file, or to its `package.json` if it has a `"yaml-fm-lint"` key
+ */
+function findConfigFile(dir) {
+  const name = configFileNames.find((fileName) => existsSync(`${dir}/${fileName}`));
+  if (name) return `${dir}/${name}`;
+
+  const packageJson = `${dir}/package.json`;
+  if (!existsSync(packageJson)) return undefined;
+
+  try {
+    return JSON.parse(readFileSync(packageJson, "utf8"))["yaml-fm-lint"] !== undefined
+      ? packageJson
+      : undefined;
+  } catch (e) {
+    // A broken package.json is reported by the tools using it
+    return undefined;
+  }
+}
+
+/**
+ * @param {string} name path or package name from `extends`
+ * @param {string} dir directory of the extending config file
+ * @returns {string | undefined} path to the extended config file, or `undefined` if it cannot be found
+ */
+function resolveExtendedConfig(name, dir) {
+  if (/^\.{1,2}([\\/]|$)/.test(name)) {
+    const file = path.resolve(dir, name);
+    return existsSync(file) ? file : undefined;
+  }
+
+  try {
+    return require.resolve(name, { paths: [dir] });
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Reads and validates a config file with the configs listed in its `extends` property applied first, in order.
+ * Paths starting with `.` are relative to the config file, others are packages resolved from its `node_modules`.
+ * @param {string} file path to the config file
+ * @param {string[]} [extending] config files extending this one, to detect circular `extends`
+ * @returns {Partial<LintConfig>}
+ */
+function readConfigFile(file, extending = []) {
+  const filePath = path.resolve(cwd, file);
+  const dir = path.dirname(filePath);
+  const source = path.relative(cwd, filePath).replace(/\\/g, "/");
+
+  if (extending.includes(filePath)) {
+    const chain = [...extending, filePath].map((f) => path.relative(cwd, f).replace(/\\/g, "/"));
+    throw new ConfigError(`Circular "extends" in config files: ${chain.join(" -> ")}`);
+  }
+
+  const loaded = loadConfigFile(filePath, source);
+
+  validateConfig(
+    loaded,
+    path.basename(filePath) === "package.json" ? `${source} "yaml-fm-lint" key` : source
+  );
+
+  const { extends: extended, ...conf } = loaded;
+
+  if (typeof conf.schema === "string") conf.schema = path.resolve(dir, conf.schema);
+
+  return [].concat(extended || []).reduceRight((ownConf, name) => {
+    const extendedFile = resolveExtendedConfig(name, dir);
+
+    if (!extendedFile) {
+      throw new ConfigError(`Cannot find config "${name}" extended in ${source}`);
+    }
+
+    return extendConfig(readConfigFile(extendedFile, [...extending, filePath]), ownConf);
+  }, conf);
+}
+
+/**
+ * @returns {LintConfig} config from `config/default.json`
+ */
+function getDefaultConfig() {
+  return {
+    ...JSON.parse(readFileSync(`${__dirname.replace(/\\/g, "/")}/config/default.json`)),
   };
 }
 
@@ -679,35 +2154,20 @@ function getArguments() {
  * Finds and returns the custom linter config, or the default one.
  * @param {LintArgs} a args object including at least `mandatory` and `config` values
  * @param {string} dir path to config file (current working directory by default)
+ * @param {LintConfig} [parentConfig] config of the parent directory, which nested configs override
  * @returns {LintConfig}
  */
-function getConfig(a, dir = cwd) {
-  let conf =
-    dir === cwd
-      ? {
-          ...JSON.parse(readFileSync(`${__dirname.replace(/\\/g, "/")}/config/default.json`)),
-        }
-      : config;
+function getConfig(a, dir = cwd, parentConfig) {
+  let conf = dir === cwd || !parentConfig ? getDefaultConfig() : parentConfig;
 
-  if (existsSync(`${dir}/.yaml-fm-lint.js`)) {
-    conf = {
-      ...conf,
-      ...require(path.resolve(cwd, `${dir}/.yaml-fm-lint.js`)),
-    };
-  } else if (existsSync(`${dir}/.yaml-fm-lint.json`)) {
-    conf = {
-      ...conf,
-      ...JSON.parse(readFileSync(`${dir}/.yaml-fm-lint.json`)),
-    };
+  const configFile = findConfigFile(dir);
+
+  if (configFile) {
+    conf = mergeConfig(conf, readConfigFile(configFile), dir);
   }
 
   if (a.config) {
-    conf = {
-      ...conf,
-      ...(a.config.endsWith(".js")
-        ? require(`${cwd}/${a.config}`)
-        : JSON.parse(readFileSync(a.config))),
-    };
+    conf = mergeConfig(conf, readConfigFile(a.config), path.dirname(a.config));
   }
 
   conf.mandatory = a.mandatory !== undefined ? a.mandatory : conf.mandatory;
@@ -718,53 +2178,304 @@ function getConfig(a, dir = cwd) {
 /**
  * @param {LintArgs} a args object
  * @param {LintConfig} c config object
- * @returns {Promise<{errors?: LintErrors, errorNumber: number, warningNumber: number}>}
+ * @returns {Promise<{errors?: LintResult[], errorNumber: number, warningNumber: number, fixableErrors: number}>}
  */
 function main(a, c) {
   return new Promise((resolve) => {
-    args = { ...a };
-    config = { ...c };
-    allExcludedDirs = [...config.excludeDirs, ...config.extraExcludeDirs];
-
-    let lintPromise;
+    const state = createState(a, c);
+    const { args, counts } = state;
 
-    if (args.path.includes("*")) {
-      lintPromise = lintGlob(glob.sync(args.path, { ignore: "node_modules/**/*" }));
-    } else if (args.recursive) {
-      lintPromise = lintRecursively(args.path);
-    } else {
-      lintPromise = lintNonRecursively(args.path);
-    }
+    const lintPromise = args.stdin
+      ? readStdin().then((text) => lintStdin(text, state))
+      : lintTargets(getTargets(args), state);
 
     lintPromise
-      .then((errors) => resolve({ errors, errorNumber, warningNumber }))
+      .then((errors) => resolve({ errors, ...counts }))
       .catch((err) => {
-        console.log(err);
-        process.exitCode = 1;
-        errorNumber++;
-        resolve({ errorNumber, warningNumber });
+        if (err instanceof ConfigError) {
+          logConfigError(err, args);
+        } else {
+          if (isTextOutput(args)) console.log(err);
+          else console.error(err);
+          process.exitCode = 1;
+        }
+        counts.errorNumber++;
+        resolve({ ...counts });
       });
   });
 }
 
 /**
+ * Sets the exit code for lint errors, unless an invalid config already set its own exit code.
+ */
+function setErrorExitCode() {
+  if (process.exitCode !== 2) process.exitCode = 1;
+}
+
+/**
+ * Logs an invalid config without a stack trace and sets the config error exit code, `2`.
+ * @param {ConfigError} err
+ * @param {LintArgs} args
+ */
+function logConfigError(err, args) {
+  if (isTextOutput(args)) console.log(args.colored ? chalk.red(err.message) : err.message);
+  else console.error(err.message);
+  process.exitCode = 2;
+}
+
+/**
+ * Creates a linter for programmatic use. Every call lints with its own state and returns fresh results,
+ * so a linter can be reused and called concurrently, e.g. in a long-running dev server.
+ * Nothing is logged unless `quiet: false` is passed in the options.
+ * @param {Partial<LintConfig>} [c] config merged over the default one. If omitted, the config found in the current working directory is used
+ * @param {Partial<LintArgs>} [options] args such as `fix` or `recursive`
+ * @throws {ConfigError} if the config has unknown keys or values of the wrong type
+ */
+function createLinter(c, options = {}) {
+  const args = { quiet: true, colored: false, ...options };
+  if (c) validateConfig(c, "the config passed to createLinter()");
+  const config = c ? mergeConfig(getDefaultConfig(), c, cwd) : getConfig(args);
+
+  return {
+    /**
+     * Lints the given content without reading or writing any files.
+     * @param {string} text
+     * @param {string} [filePath] path shown in the results
+     * @returns {Promise<LintResult>}
+     */
+    lintText(text, filePath = "<text>") {
+      return lintFrontMatter(filePath, text, createState(args, config, false));
+    },
+
+    /**
+     * Lints files, directories or glob patterns. Files are fixed in place if the `fix` option is set.
+     * @param {string | string[]} patterns
+     * @returns {Promise<{results: LintResult[], errorNumber: number, warningNumber: number, fixableErrors: number}>}
+     */
+    lintFiles(patterns) {
+      const state = createState(args, config);
+
+      return lintTargets(
+        [].concat(patterns).map((pattern) => pattern.replace(/\\/g, "/")),
+        state
+      ).then((results) => ({ results, ...state.counts }));
+    },
+
+    /**
+     * Fixes the given content without writing any files.
+     * @param {string} text
+     * @param {string} [filePath] path shown in the results
+     * @returns {Promise<LintResult & {output: string}>} result for the fixed content, with `output` set to the content even if nothing was fixed
+     */
+    fixText(text, filePath = "<text>") {
+      return lintFrontMatter(
+        filePath,
+        text,
+        createState({ ...args, fix: true, fixDryRun: false }, config, false)
+      ).then((lintRes) => ({ output: text, ...lintRes }));
+    },
+  };
+}
+
+/**
+ * Lints a file found by the watcher if it is part of the linted path.
+ * @param {string} file path to the changed file
+ * @param {string} target watched path or glob pattern
+ * @param {LintState} state
+ * @returns {Promise<LintResult[]>}
+ */
+function lintChangedFile(file, target, state) {
+  const { args, config } = state;
+
+  if (state.ignore.isIgnored(file)) return Promise.resolve([]);
+
+  if (target.includes("*")) {
+    return glob.sync(target, { ignore: "node_modules/**/*" }).includes(file)
+      ? lintGlob([file], target, state)
+      : Promise.resolve([]);
+  }
+
+  if (file === target) return lintNonRecursively(file, state);
+
+  if (!hasLintedExtension(file, config)) return Promise.resolve([]);
+
+  if (!args.recursive) {
+    return path.dirname(file) === target ? lintNonRecursively(file, state) : Promise.resolve([]);
+  }
+
+  const dirs = getDirs(target, path.dirname(file));
+
+  if (dirs.some((dir) => isExcludedDir(dir, state))) return Promise.resolve([]);
+
+  return lintRecursively(file, {
+    ...state,
+    config: dirs.reduce((conf, dir) => getConfig(args, dir, conf), config),
+  });
+}
+
+/**
+ * Logs the number of errors and warnings left in all watched files.
+ * @param {{ lintedFiles: number, errorNumber: number, warningNumber: number, files: number }} summary
+ * @param {LintArgs} args
+ */
+function logWatchSummary({ lintedFiles, errorNumber, warningNumber, files }, args) {
+  const color = (fn, str) => (args.colored ? fn(str) : str);
+  const time = new Date().toLocaleTimeString();
+
+  console.log(
+    `[${time}] ${lintedFiles} file${lintedFiles === 1 ? "" : "s"} linted. ${
+      errorNumber || warningNumber
+        ? `${color(chalk.red, `✘ ${errorNumber} error${errorNumber === 1 ? "" : "s"}`)} and ${color(
+            chalk.yellow,
+            `⚠ ${warningNumber} warning${warningNumber === 1 ? "" : "s"}`
+          )} in ${files} file${files === 1 ? "" : "s"}.`
+        : color(chalk.green, "✔ All parsed files have valid front matter.")
+    } Watching for changes...`
+  );
+}
+
+/**
+ * Lints the paths from the args, then watches them and re-lints files when they are added or changed.
+ * All files are linted again when a config file changes.
+ * After every lint a summary of the errors and warnings left in all files is logged and a `lint` event is emitted with it.
+ * @param {LintArgs} a args object
+ * @param {LintConfig} c config object
+ * @returns {Promise<EventEmitter & { close: () => void }>} resolves after the first lint
+ */
+function watch(a, c) {
+  const args = { ...a };
+  const watcher = new EventEmitter();
+  /** @type {Map<string, LintResult>} */
+  const results = new Map();
+  const targets = getTargets(args);
+  let config = c;
+  let ignore = createIgnore(cwd, { gitignore: config.useGitignore });
+  let queue = Promise.resolve();
+
+  const isConfig = (file) =>
+    /(^|\/)(\.yaml-fm-lint\.([cm]?js|json|ya?ml)|package\.json|\.fmlintignore|\.gitignore)$/.test(
+      file
+    ) ||
+    (args.config && file === args.config);
+
+  const update = (lintResults, lintedFiles) => {
+    lintResults.flat(Infinity).forEach((result) => results.set(result.filePath, result));
+
+    const summary = [...results.values()].reduce(
+      (acc, { fileErrors, fileWarnings }) => ({
+        ...acc,
+        errorNumber: acc.errorNumber + fileErrors,
+        warningNumber: acc.warningNumber + fileWarnings,
+        files: acc.files + (fileErrors || fileWarnings ? 1 : 0),
+      }),
+      { lintedFiles, errorNumber: 0, warningNumber: 0, files: 0 }
+    );
+
+    logWatchSummary(summary, args);
+    watcher.emit("lint", summary);
+  };
+
+  const lintAll = () => {
+    const state = createState(args, config);
+    results.clear();
+    return Promise.all(targets.map((target) => lintPath(target, state))).then((lintResults) =>
+      update(lintResults, lintResults.flat(Infinity).length)
+    );
+  };
+
+  const lintChanged = (changed) => {
+    if (changed.some(isConfig)) {
+      changed.filter(isConfig).forEach((file) => delete require.cache[path.resolve(cwd, file)]);
+      config = getConfig(args);
+      ignore = createIgnore(cwd, { gitignore: config.useGitignore });
+      return lintAll();
+    }
+
+    const state = createState(args, config);
+    const files = changed.filter((file) => {
+      if (existsSync(file)) return !lstatSync(file).isDirectory();
+      results.delete(file);
+      return false;
+    });
+
+    return Promise.all(
+      files.flatMap((file) => targets.map((target) => lintChangedFile(file, target, state)))
+    ).then((lintResults) => update(lintResults, lintResults.flat(Infinity).length));
+  };
+
+  return lintAll().then(() => {
+    const watchers = targets.map((target) =>
+      watchPath(
+        target,
+        {
+          recursive: args.recursive,
+          // Config and ignore files are watched even where they are ignored
+          isIgnored: (file) => !isConfig(file) && ignore.isIgnored(file),
+        },
+        (changed) => {
+          queue = queue
+            .then(() => lintChanged(changed))
+            .catch((err) => console.log(err instanceof ConfigError ? err.message : err));
+        }
+      )
+    );
+
+    return Object.assign(watcher, { close: () => watchers.forEach(({ close }) => close()) });
+  });
+}
+
+/**
+ * Lints files given in the command line arguments and logs the results in the requested format.
  * @returns {{errorNumber: number, warningNumber: number, args: LintArgs, config: LintConfig}}
  */
 function run() {
   return new Promise((resolve) => {
-    console.time("Linting took");
+    const args = getArguments();
+    const timed = args.format === "text" && !isFixingStdin(args) && !args.watch;
 
-    const a = getArguments();
+    if (timed) console.time("Linting took");
 
     if (process.exitCode) {
-      console.timeEnd("Linting took");
-      return resolve({ errorNumber, warningNumber, args: a, config });
+      if (timed) console.timeEnd("Linting took");
+      return resolve({ errorNumber: 0, warningNumber: 0, args });
+    }
+
+    let config;
+
+    try {
+      config = getConfig(args);
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      logConfigError(err, args);
+      if (timed) console.timeEnd("Linting took");
+      return resolve({ errorNumber: 1, warningNumber: 0, args });
+    }
+
+    if (args.watch) {
+      // Watch output is always text, even where GitHub Actions would select the github format
+      return watch({ ...args, format: "text" }, config)
+        .then((watcher) => resolve({ errorNumber: 0, warningNumber: 0, args, config, watcher }))
+        .catch((err) => {
+          console.log(err);
+          process.exitCode = 1;
+          resolve({ errorNumber: 1, warningNumber: 0, args, config });
+        });
     }
 
-    const c = getConfig(a);
+    main(args, config)
+      .then(({ errors, errorNumber, warningNumber, fixableErrors }) => {
+        if (isFixingStdin(args)) {
+          if (errorNumber) setErrorExitCode();
+          if (errors && errors.length) process.stdout.write(errors.flat(Infinity)[0].output);
+          return { errorNumber, warningNumber, args, config };
+        }
+
+        if (!isTextOutput(args)) {
+          if (errorNumber) setErrorExitCode();
+          console.log(formatters[args.format]((errors || []).flat(Infinity)));
+          return { errorNumber, warningNumber, args, config };
+        }
 
-    main(a, c)
-      .then(({ errorNumber, warningNumber }) => {
         if (warningNumber) {
           console.log(
             args.colored
@@ -773,7 +2484,7 @@ function run() {
           );
         }
         if (errorNumber) {
-          process.exitCode = 1;
+          setErrorExitCode();
           console.log(
             args.colored
               ? chalk.red(
@@ -810,10 +2521,19 @@ function run() {
 module.exports = {
   run,
   main,
+  createLinter,
+  watch,
   lintFile,
+  rules,
   errorMessages,
   warningMessages,
+  ConfigError,
 };
 
-// Run if invoked as a CLI
-if (require.main === module) run();
+if (!isMainThread && workerData && workerData.lintWorker) {
+  // Lint files for the main thread if started by `--concurrency`
+  startWorker(workerData.lintWorker);
+} else if (require.main === module) {
+  // Run if invoked as a CLI
+  run();
+}
@@ -0,0 +1,199 @@
+/** Invalid JSON front matter, located like the `mark` of js-yaml errors */
+class JsonError extends SyntaxError {
+  /**
+   * @param {string} reason
+   * @param {number} row line in the front matter lines
+   * @param {number} col
+   */
+  constructor(reason, row, col) {
+    super(`${reason} (${row}:${col})`);
+    this.name = "JsonError";
+    this.reason = reason;
+    this.row = row;
+    this.col = col;
+  }
+}
+
+/**
+ * @typedef {{ path: string[], row: number, col: number, colStart: number, colEnd: number }} JsonKey
+ */
+
+/**
+ * @param {string[]} fmLines front matter lines, either between `;;;` tags or starting with `{` and ending with `}`
+ * @returns {{ text: string, firstRow: number }} JSON text and the line it starts on
+ */
+function getJsonText(fmLines) {
+  return fmLines[1].startsWith(";;;")
+    ? { text: fmLines.slice(2, -1).join("\n"), firstRow: 2 }
+    : { text: fmLines.slice(1).join("\n"), firstRow: 1 };
+}
+
+/**
+ * Checks the JSON syntax and finds the keys and array items of the front matter.
+ * `JSON.parse` errors do not always tell where the problem is, so the text is scanned first.
+ * @param {string[]} fmLines front matter lines
+ * @returns {JsonKey[]} locations of the keys and array items
+ * @throws {JsonError} if the front matter is not a valid JSON object
+ */
+function scanJson(fmLines) {
+  const { text, firstRow } = getJsonText(fmLines);
+  const keys = [];
+  let pos = 0;
+
+  const locate = (offset) => {
+    const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+    const row = firstRow + (text.slice(0, lineStart).match(/\n/g) || []).length;
+    return { row, colStart: offset - lineStart };
+  };
+
+  const fail = (reason) => {
+    const { row, colStart } = locate(pos);
+    throw new JsonError(reason, row, colStart + 1);
+  };
+
+  const describe = (char) => (char === undefined ? "end of the front matter" : `'${char}'`);
+
+  const addKey = (path, start, end) => {
+    const { row, colStart } = locate(start);
+    const lineEnd = text.indexOf("\n", start);
+    const length = (lineEnd === -1 || lineEnd > end ? end : lineEnd) - start;
+    keys.push({ path, row, col: colStart + 1, colStart, colEnd: colStart + length });
+  };
+
+  const skipWhitespace = () => {
+    while (/[ \t\n\r]/.test(text[pos] || "")) pos++;
+  };
+
+  const scanString = () => {
+    const start = pos++;
+
+    while (text[pos] !== '"') {
+      if (text[pos] === undefined || text[pos] === "\n") fail("unterminated string");
+      if (text[pos] < " ") fail("control characters must be escaped in strings");
+      if (text[pos] === "\\") {
+        if (!/^(["\\/bfnrt]|u[0-9a-fA-F]{4})/.test(text.slice(pos + 1))) fail("invalid escape");
+        pos += text[pos + 1] === "u" ? 5 : 1;
+      }
+      pos++;
+    }
+
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const scanValue = (path) => {
+    skipWhitespace();
+    const char = text[pos];
+
+    if (char === "{") return scanObject(path);
+    if (char === "[") return scanArray(path);
+    if (char === '"') return scanString();
+
+    const literal = /true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+    literal.lastIndex = pos;
+    const match = literal.exec(text);
+    if (!match || /[\w.]/.test(text[pos + match[0].length] || "")) {
+      fail(`unexpected ${describe(char)}, expected a value`);
+    }
+    pos += match[0].length;
+  };
+
+  const scanObject = (path) => {
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "}") return pos++;
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail(`unexpected ${describe(text[pos])}, expected a quoted key`);
+
+      const start = pos;
+      const key = scanString();
+      addKey([...path, key], start, pos);
+
+      skipWhitespace();
+      if (text[pos] !== ":") fail(`unexpected ${describe(text[pos])}, expected ':'`);
+      pos++;
+      scanValue([...path, key]);
+
+      skipWhitespace();
+      if (text[pos] === "}") return pos++;
+      if (text[pos] !== ",") fail(`unexpected ${describe(text[pos])}, expected ',' or '}'`);
+      pos++;
+    }
+  };
+
+  const scanArray = (path) => {
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "]") return pos++;
+
+    for (let index = 0; ; index++) {
+      skipWhitespace();
+      const start = pos;
+      scanValue([...path, String(index)]);
+      addKey([...path, String(index)], start, pos);
+
+      skipWhitespace();
+      if (text[pos] === "]") return pos++;
+      if (text[pos] !== ",") fail(`unexpected ${describe(text[pos])}, expected ',' or ']'`);
+      pos++;
+    }
+  };
+
+  skipWhitespace();
+  if (text[pos] !== "{") fail("JSON front matter must be an object");
+  scanObject([]);
+  skipWhitespace();
+  if (pos < text.length) fail(`unexpected ${describe(text[pos])} after the front matter object`);
+
+  return keys;
+}
+
+/**
+ * Parses JSON front matter.
+ * @param {string[]} fmLines front matter lines
+ * @returns {{[key: string]: any}} attributes
+ * @throws {JsonError} if the front matter is not a valid JSON object
+ */
+function parseJson(fmLines) {
+  scanJson(fmLines);
+  return JSON.parse(getJsonText(fmLines).text);
+}
+
+/**
+ * Finds the lines of JSON front matter, with the top-level attribute starting on them.
+ * @param {string[]} fmLines front matter lines of valid JSON front matter
+ * @returns {{ row: number, line: string, attribute?: string }[]}
+ */
+function getJsonLines(fmLines) {
+  const attributeRows = new Map(
+    scanJson(fmLines)
+      .filter(({ path }) => path.length === 1)
+      .map(({ path, row }) => [row, path[0]])
+  );
+  const { text, firstRow } = getJsonText(fmLines);
+
+  return text
+    .split("\n")
+    .map((line, i) => ({ row: firstRow + i, line, attribute: attributeRows.get(firstRow + i) }));
+}
+
+/**
+ * Finds the line of the attribute at the given path.
+ * @param {string[]} fmLines front matter lines
+ * @param {string[]} segments path to the attribute, e.g. `["author", "name"]` or `["tags", "1"]`
+ * @returns {{ row: number, col: number, colStart: number, colEnd: number }} location of the attribute, its closest parent or the opening front matter tag
+ */
+function findJsonAttribute(fmLines, segments) {
+  const found = scanJson(fmLines)
+    .filter(({ path }) => path.length <= segments.length && path.every((s, i) => s === segments[i]))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+
+  if (!found) return { row: 1, col: 1, colStart: 0, colEnd: fmLines[1].trimEnd().length };
+
+  const { path, ...location } = found;
+  return location;
+}
+
+module.exports = { parseJson, getJsonLines, findJsonAttribute, JsonError };
@@ -0,0 +1,71 @@
+const { Worker } = require("worker_threads");
+
+/**
+ * Starts worker threads running the given script and hands out tasks to whichever worker is free.
+ * The script receives tasks as messages and must answer every one with `{ id, result }` or `{ id, error }`.
+ * @param {string} script path to the worker script
+ * @param {number} size number of workers
+ * @param {any} workerData data passed to every worker
+ * @returns {{ run: (task: object) => Promise<any>, close: () => Promise<void> }}
+ */
+function createPool(script, size, workerData) {
+  const queue = [];
+  const idle = [];
+  /** @type {Map<Worker, { id: number, resolve: Function, reject: Function }>} */
+  const running = new Map();
+  let nextId = 0;
+
+  const next = (worker) => {
+    const task = queue.shift();
+
+    if (!task) {
+      idle.push(worker);
+      return;
+    }
+
+    running.set(worker, task);
+    worker.postMessage({ ...task.message, id: task.id });
+  };
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(script, { workerData });
+
+    worker.on("message", ({ id, result, error }) => {
+      const task = running.get(worker);
+      running.delete(worker);
+
+      if (task && task.id === id) {
+        if (error) task.reject(error);
+        else task.resolve(result);
+      }
+
+      next(worker);
+    });
+
+    // A crashed worker cannot answer, so its task and the ones waiting for a worker fail with its error
+    worker.on("error", (error) => {
+      const task = running.get(worker);
+      running.delete(worker);
+      if (task) task.reject(error);
+      queue.splice(0).forEach(({ reject }) => reject(error));
+    });
+
+    idle.push(worker);
+    return worker;
+  });
+
+  return {
+    run(message) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, message, resolve, reject });
+        if (idle.length) next(idle.shift());
+      });
+    },
+
+    close() {
+      return Promise.all(workers.map((worker) => worker.terminate())).then(() => {});
+    },
+  };
+}
+
+module.exports = { createPool };
@@ -0,0 +1,62 @@
+/**
+ * @typedef {"off" | "warning" | "error"} RuleSeverity
+ */
+
+const errorMessages = {
+  missingAttributes: "missing required attributes",
+  blankLines: "there must be no empty lines",
+  spacesBeforeColon: "there must be no whitespace before colons",
+  quotes: "there must be no quotes in the front matter",
+  trailingSpaces: "there must be no trailing spaces",
+  brackets: "there must be no brackets",
+  curlyBraces: "there must be no curly braces",
+  indentation: "lines cannot be indented more than 2 spaces from the previous line",
+  trailingCommas: "there must be no trailing commas",
+  spacesAroundEquals: "there must be exactly one space around equal signs",
+  endOfLine: "lines must end with the configured line ending",
+  schema: "front matter does not match the schema",
+  unusedDirective: "unused disable directive",
+};
+const warningMessages = {
+  repeatingSpaces: "possibly unintended whitespace",
+  warnCommas: "possibly unintended commas",
+};
+
+/**
+ * Built-in rules keyed by their ID. `severity` is the default one and can be changed with the `rules` config property.
+ * @type {{[ruleId: string]: { message: string, severity: RuleSeverity, fixable: boolean }}}
+ */
+const rules = {
+  "required-attributes": {
+    message: errorMessages.missingAttributes,
+    severity: "error",
+    fixable: false,
+  },
+  "no-empty-lines": { message: errorMessages.blankLines, severity: "error", fixable: true },
+  "no-whitespace-before-colon": {
+    message: errorMessages.spacesBeforeColon,
+    severity: "error",
+    fixable: true,
+  },
+  "no-quotes": { message: errorMessages.quotes, severity: "error", fixable: true },
+  "no-trailing-spaces": { message: errorMessages.trailingSpaces, severity: "error", fixable: true },
+  "no-brackets": { message: errorMessages.brackets, severity: "error", fixable: true },
+  "no-curly-braces": { message: errorMessages.curlyBraces, severity: "error", fixable: true },
+  "incorrect-indentation": { message: errorMessages.indentation, severity: "error", fixable: true },
+  "no-trailing-commas": { message: errorMessages.trailingCommas, severity: "error", fixable: true },
+  "no-repeating-spaces": {
+    message: warningMessages.repeatingSpaces,
+    severity: "warning",
+    fixable: false,
+  },
+  "warn-commas": { message: warningMessages.warnCommas, severity: "warning", fixable: false },
+  "spaces-around-equals": {
+    message: errorMessages.spacesAroundEquals,
+    severity: "error",
+    fixable: false,
+  },
+  "end-of-line": { message: errorMessages.endOfLine, severity: "off", fixable: true },
+  schema: { message: errorMessages.schema, severity: "error", fixable: false },
+};
+
+module.exports = { errorMessages, warningMessages, rules };
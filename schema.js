@@ -0,0 +1,328 @@
+const { readFileSync } = require("fs");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { rules } = require("./rules.js");
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+/**
+ * Compiled validators keyed by schema file path or serialized schema object, so that equal schemas
+ * from re-resolved configs reuse the same validator.
+ * @type {Map<string, import("ajv").ValidateFunction>}
+ */
+const validators = new Map();
+
+/**
+ * @param {string | object} schema path to a JSON Schema file or the schema itself
+ * @returns {import("ajv").ValidateFunction}
+ */
+function getValidator(schema) {
+  const key = typeof schema === "string" ? schema : JSON.stringify(schema);
+
+  if (!validators.has(key)) {
+    const parsed = typeof schema === "string" ? JSON.parse(readFileSync(schema, "utf8")) : schema;
+    // Ajv refuses to compile a second schema with the same `$id`, e.g. after a schema was changed
+    if (parsed.$id !== undefined) ajv.removeSchema(parsed.$id);
+    validators.set(key, ajv.compile(parsed));
+  }
+
+  return validators.get(key);
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean} whether the line has any YAML content. Front matter tags and document markers have none
+ */
+function isContentLine(line) {
+  return line.trim() !== "" && !/^\s*#/.test(line) && !/^(---|\.\.\.)(\s|$)/.test(line);
+}
+
+/**
+ * @param {string} line
+ * @returns {number} number of leading whitespace characters
+ */
+function getIndentation(line) {
+  return line.search(/\S|$/);
+}
+
+/**
+ * Finds the line of the attribute at the given path by walking down the indented front matter blocks.
+ * Values in flow collections (`[a, b]`, `{a: b}`) cannot be found, so the closest attribute found is returned instead.
+ * @param {string[]} fmLines front matter lines, including the `---` tags
+ * @param {string[]} segments path to the attribute, e.g. `["author", "name"]` or `["tags", "1"]`
+ * @returns {{ row: number, col: number, colStart: number, colEnd: number }} location of the attribute or the opening front matter tag
+ */
+function findAttribute(fmLines, segments) {
+  let location = { row: 1, col: 1, colStart: 0, colEnd: 3 };
+  let start = 1;
+  let end = fmLines.length - 1;
+
+  for (const segment of segments) {
+    const first = fmLines.slice(start, end).findIndex(isContentLine) + start;
+    if (first < start) break;
+
+    let found = -1;
+
+    if (/^\d+$/.test(segment)) {
+      const itemIndent = getIndentation(fmLines[first]);
+      if (!/^-(\s|$)/.test(fmLines[first].trim())) break;
+
+      const items = [];
+      for (let i = first; i < end; i++) {
+        const line = fmLines[i];
+        if (
+          isContentLine(line) &&
+          getIndentation(line) === itemIndent &&
+          /^-(\s|$)/.test(line.trim())
+        ) {
+          items.push(i);
+        }
+      }
+
+      found = items[Number(segment)] === undefined ? -1 : items[Number(segment)];
+      if (found === -1) break;
+
+      const line = fmLines[found];
+      location = {
+        row: found,
+        col: itemIndent + 1,
+        colStart: itemIndent,
+        colEnd: line.trimEnd().length,
+      };
+      end = items[Number(segment) + 1] === undefined ? end : items[Number(segment) + 1];
+      start = found;
+    } else {
+      const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const keyRegex = new RegExp(`^((?:\\s*-\\s+)*\\s*)(["']?)${escaped}\\2\\s*:`);
+      const keyCol = (fmLines[first].match(/^(?:\s*-\s+)*\s*/) || [""])[0].length;
+
+      for (let i = first; i < end; i++) {
+        const match = fmLines[i].match(keyRegex);
+        if (match && match[1].length === keyCol) {
+          found = i;
+          break;
+        }
+      }
+
+      if (found === -1) break;
+
+      const keyLength = fmLines[found].substring(keyCol).search(/\s*:/);
+      location = {
+        row: found,
+        col: keyCol + 1,
+        colStart: keyCol,
+        colEnd: keyCol + keyLength,
+      };
+
+      let blockEnd = found + 1;
+      while (blockEnd < end) {
+        const line = fmLines[blockEnd];
+        const indent = getIndentation(line);
+        if (
+          isContentLine(line) &&
+          (indent < keyCol || (indent === keyCol && !/^-(\s|$)/.test(line.trim())))
+        ) {
+          break;
+        }
+        blockEnd++;
+      }
+
+      start = found + 1;
+      end = blockEnd;
+    }
+  }
+
+  return location;
+}
+
+/**
+ * @param {string} instancePath JSON pointer to the invalid value, e.g. `/tags/1`
+ * @returns {string[]} unescaped path segments, e.g. `["tags", "1"]`
+ */
+function getSegments(instancePath) {
+  return instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * @param {string[]} segments
+ * @returns {string} human readable attribute path, e.g. `tags[1]` or `author.name`
+ */
+function toAttributePath(segments) {
+  return segments.reduce((acc, segment) => {
+    if (/^\d+$/.test(segment)) return `${acc}[${segment}]`;
+    return acc ? `${acc}.${segment}` : segment;
+  }, "");
+}
+
+/**
+ * Validates the front matter attributes against a JSON Schema.
+ * @param {{[key: string]: any}} attributes YAML front matter / metadata pairs
+ * @param {string[]} fmLines front matter line array
+ * @param {string | object} schema path to a JSON Schema file or the schema itself
+ * @param {typeof findAttribute} [locate] finds the line of an attribute, `findAttribute` for YAML front matter
+ * @returns {{ message: string, row: number, col: number, colStart: number, colEnd: number }[]} schema violations located at the offending attributes
+ */
+function validateSchema(attributes, fmLines, schema, locate = findAttribute) {
+  const validate = getValidator(schema);
+
+  if (validate(attributes === undefined || attributes === null ? {} : attributes)) {
+    return [];
+  }
+
+  return validate.errors.map((error) => {
+    const segments = getSegments(error.instancePath);
+    const { additionalProperty } = error.params;
+
+    return {
+      message: `${toAttributePath(segments) || "front matter"} ${error.message}${
+        additionalProperty !== undefined ? ` '${additionalProperty}'` : ""
+      }`,
+      ...locate(
+        fmLines,
+        additionalProperty !== undefined ? [...segments, additionalProperty] : segments
+      ),
+    };
+  });
+}
+
+/** Config file error reported without a stack trace. The CLI exits with code 2 when it is thrown. */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+const stringArray = { type: "array", items: { type: "string" } };
+const stringOrStringArray = { anyOf: [{ type: "string" }, stringArray] };
+
+/** Config properties which can also be set in `overrides` */
+const configProperties = {
+  disabledAttributes: stringArray,
+  excludeDirs: stringArray,
+  extraExcludeDirs: stringArray,
+  excludeFiles: stringArray,
+  extensions: stringArray,
+  includeDirs: stringArray,
+  mandatory: { type: "boolean" },
+  requiredAttributes: stringArray,
+  rules: {
+    type: "object",
+    propertyNames: { enum: Object.keys(rules) },
+    additionalProperties: { enum: ["off", "warning", "error"] },
+  },
+  schema: { type: ["string", "object"] },
+  endOfLine: { enum: ["lf", "crlf", "auto"] },
+  encoding: { enum: ["utf8", "utf16le", "latin1"] },
+  extraLintFns: { type: "array", items: { isFunction: true } },
+};
+
+const configAjv = new Ajv({ allErrors: true, strict: false, verbose: true });
+configAjv.addKeyword({
+  keyword: "isFunction",
+  schemaType: "boolean",
+  errors: false,
+  validate: (isFunction, data) => !isFunction || typeof data === "function",
+});
+
+const validateConfigSchema = configAjv.compile({
+  type: "object",
+  properties: {
+    ...configProperties,
+    useGitignore: { type: "boolean" },
+    extends: stringOrStringArray,
+    overrides: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { ...configProperties, files: stringOrStringArray },
+        required: ["files"],
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+});
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} number of single character edits between the strings
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * @param {import("ajv").ErrorObject} error
+ * @returns {string} message naming the invalid key, with the closest known key for misspelled ones
+ */
+function describeConfigError({ keyword, instancePath, params, parentSchema, message }) {
+  const segments = getSegments(instancePath);
+  const key = toAttributePath(segments) || "config";
+
+  if (keyword === "additionalProperties") {
+    const known = Object.keys(parentSchema.properties);
+    const closest = known.find((name) => getEditDistance(name, params.additionalProperty) <= 2);
+    const unknownKey = toAttributePath([...segments, params.additionalProperty]);
+
+    return `"${unknownKey}" is not a known config key.${
+      closest ? ` Did you mean "${toAttributePath([...segments, closest])}"?` : ""
+    }`;
+  }
+
+  if (keyword === "propertyNames") {
+    return `"${toAttributePath([...segments, params.propertyName])}" is not a known rule ID.`;
+  }
+
+  if (keyword === "isFunction") return `"${key}" must be a function.`;
+  if (keyword === "type") return `"${key}" must be ${[].concat(params.type).join(" or ")}.`;
+  if (keyword === "anyOf") return `"${key}" must be a string or an array of strings.`;
+
+  if (keyword === "enum") {
+    return `"${key}" must be one of ${params.allowedValues.map((v) => `"${v}"`).join(", ")}.`;
+  }
+
+  return `"${key}" ${message}.`;
+}
+
+/**
+ * Checks the keys and value types of a config.
+ * @param {object} config config read from a config file
+ * @param {string} source path to the config file, shown in the error
+ * @throws {ConfigError} listing every unknown key and invalid value
+ */
+function validateConfig(config, source) {
+  if (validateConfigSchema(config)) return;
+
+  const problems = validateConfigSchema.errors
+    // The errors of `anyOf` alternatives are summed up by the `anyOf` error itself
+    .filter(({ schemaPath }) => !/\/anyOf\/\d+\//.test(schemaPath))
+    // `propertyNames` also reports the name of the rule that failed `enum`
+    .filter(({ propertyName }) => propertyName === undefined)
+    .map(describeConfigError);
+
+  throw new ConfigError(
+    `Invalid config in ${source}:\n${[...new Set(problems)].map((p) => `  - ${p}`).join("\n")}`
+  );
+}
+
+module.exports = { validateSchema, validateConfig, ConfigError };
@@ -0,0 +1,150 @@
+const { parse, TomlError } = require("smol-toml");
+
+/**
+ * @param {any} value
+ * @returns {any} copy of the value where tables are plain objects instead of objects without prototype. Dates are kept
+ */
+function toPlainValue(value) {
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value === null || typeof value !== "object" || value instanceof Date) return value;
+
+  return Object.keys(value).reduce((acc, key) => ({ ...acc, [key]: toPlainValue(value[key]) }), {});
+}
+
+/**
+ * Parses TOML front matter.
+ * @param {string[]} fmLines front matter lines, including the `+++` tags
+ * @returns {{[key: string]: any}} attributes
+ * @throws {TomlError} if the front matter is not valid TOML
+ */
+function parseToml(fmLines) {
+  // smol-toml uses `Object.hasOwn`, which was added in Node.js 16.9
+  if (typeof Object.hasOwn !== "function") {
+    throw new TomlError(`TOML front matter needs Node.js 16.9 or later, not ${process.version}`, {
+      toml: "",
+      ptr: 0,
+    });
+  }
+
+  return toPlainValue(parse(fmLines.slice(2, -1).join("\n")));
+}
+
+/**
+ * @param {TomlError} error
+ * @returns {{ message: string, row: number, col: number }} first line of the error message and its location in the front matter lines
+ */
+function getTomlErrorLocation(error) {
+  return { message: error.message.split("\n")[0], row: error.line + 1, col: error.column };
+}
+
+/**
+ * @param {string} key bare, quoted or dotted TOML key
+ * @returns {string[]} key segments without quotes, e.g. `["params", "author"]` for `params."author"`
+ */
+function getKeySegments(key) {
+  return (key.match(/"[^"]*"|'[^']*'|[^.\s]+/g) || []).map((segment) =>
+    segment.replace(/^(["'])(.*)\1$/, "$2")
+  );
+}
+
+/**
+ * @param {string} line
+ * @returns {RegExpMatchArray | null} match of a `key = value` line, with the indentation, key and spaces around `=`
+ */
+function matchKeyValue(line) {
+  return line.match(
+    /^(\s*)((?:"[^"]*"|'[^']*'|[\w-]+)(?:\s*\.\s*(?:"[^"]*"|'[^']*'|[\w-]+))*)(\s*)=(\s*)/
+  );
+}
+
+/**
+ * @param {string} line
+ * @returns {string[] | undefined} key segments of a `[table]` or `[[array.of.tables]]` header line
+ */
+function matchTableHeader(line) {
+  const match = line.match(/^\s*\[\[?\s*((?:"[^"]*"|'[^']*'|[\w.\s-])+?)\s*\]\]?\s*(#.*)?$/);
+  return match ? getKeySegments(match[1]) : undefined;
+}
+
+/**
+ * Finds the lines of TOML front matter which are not inside multi-line strings, with the table they belong to
+ * and the top-level attribute or table starting on them.
+ * @param {string[]} fmLines front matter lines, including the `+++` tags
+ * @returns {{ row: number, line: string, table: string[], attribute?: string }[]}
+ */
+function getTomlLines(fmLines) {
+  const tomlLines = [];
+  let table = [];
+  let multiLineDelimiter;
+
+  for (let row = 2; row < fmLines.length - 1; row++) {
+    const line = fmLines[row];
+
+    if (multiLineDelimiter) {
+      if (line.includes(multiLineDelimiter)) multiLineDelimiter = undefined;
+      continue;
+    }
+
+    const header = matchTableHeader(line);
+    const keyValue = header ? null : matchKeyValue(line);
+    table = header || table;
+
+    tomlLines.push({
+      row,
+      line,
+      table,
+      attribute: header
+        ? header[0]
+        : keyValue && !table.length
+        ? getKeySegments(keyValue[2])[0]
+        : undefined,
+    });
+
+    const delimiters = line.match(/"""|'''/g) || [];
+    if (delimiters.length % 2 === 1) multiLineDelimiter = delimiters[0];
+  }
+
+  return tomlLines;
+}
+
+/**
+ * Finds the line of the attribute at the given path from its table header or key.
+ * Values of arrays and inline tables cannot be found, so the closest attribute found is returned instead.
+ * @param {string[]} fmLines front matter lines, including the `+++` tags
+ * @param {string[]} segments path to the attribute, e.g. `["params", "author"]` or `["tags", "1"]`
+ * @returns {{ row: number, col: number, colStart: number, colEnd: number }} location of the attribute or the opening front matter tag
+ */
+function findTomlAttribute(fmLines, segments) {
+  let location = { row: 1, col: 1, colStart: 0, colEnd: 3 };
+  let matchedLength = 0;
+
+  getTomlLines(fmLines).forEach(({ row, line, table }) => {
+    const header = matchTableHeader(line);
+    const keyValue = header ? null : matchKeyValue(line);
+    if (!header && !keyValue) return;
+
+    const path = header || [...table, ...getKeySegments(keyValue[2])];
+    const isPrefix = path.length <= segments.length && path.every((s, i) => s === segments[i]);
+    if (!isPrefix || path.length <= matchedLength) return;
+
+    const colStart = keyValue ? keyValue[1].length : line.search(/\S/);
+    matchedLength = path.length;
+    location = {
+      row,
+      col: colStart + 1,
+      colStart,
+      colEnd: keyValue ? colStart + keyValue[2].length : line.trimEnd().length,
+    };
+  });
+
+  return location;
+}
+
+module.exports = {
+  parseToml,
+  getTomlErrorLocation,
+  getTomlLines,
+  matchKeyValue,
+  findTomlAttribute,
+  TomlError,
+};
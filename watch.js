@@ -0,0 +1,110 @@
+const { watch, lstatSync, readdirSync, existsSync } = require("fs");
+const path = require("path");
+
+/**
+ * @param {string} pattern glob pattern
+ * @returns {string} directory before the first segment with glob characters
+ */
+function getGlobBase(pattern) {
+  const segments = pattern.split("/");
+  const magicIndex = segments.findIndex((segment) => /[*?[\]{}]/.test(segment));
+
+  return segments.slice(0, magicIndex === -1 ? segments.length - 1 : magicIndex).join("/") || ".";
+}
+
+/** Directories whose changes are not reported, also by recursive watchers */
+const skippedDirs = [".git", "node_modules"];
+
+/**
+ * Watches a directory and, if `recursive`, the directories inside it.
+ * Where Node.js cannot watch recursively, like on Linux before Node.js 20, every directory gets its own watcher,
+ * including the ones added later.
+ * @param {string} dir
+ * @param {boolean} recursive
+ * @param {(filename: string) => void} onFile receives changed paths relative to the directory
+ * @returns {() => void} function closing the watchers
+ */
+function watchDir(dir, recursive, onFile) {
+  try {
+    const watcher = watch(dir, { recursive }, (event, filename) => {
+      if (!filename) return;
+
+      const file = filename.replace(/\\/g, "/");
+      if (!file.split("/").some((segment) => skippedDirs.includes(segment))) onFile(file);
+    });
+    return () => watcher.close();
+  } catch (err) {
+    if (err.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw err;
+  }
+
+  /** @type {Map<string, import("fs").FSWatcher>} watchers keyed by their directory relative to `dir` */
+  const watchers = new Map();
+
+  const add = (subDir) => {
+    const fullDir = subDir ? `${dir}/${subDir}` : dir;
+    if (watchers.has(subDir) || !existsSync(fullDir) || !lstatSync(fullDir).isDirectory()) return;
+
+    const watcher = watch(fullDir, (event, filename) => {
+      if (!filename || skippedDirs.includes(filename)) return;
+
+      const file = subDir ? `${subDir}/${filename}` : filename;
+      onFile(file);
+      add(file);
+    });
+    // Removed directories close their own watcher
+    watcher.on("error", () => {
+      watcher.close();
+      watchers.delete(subDir);
+    });
+    watchers.set(subDir, watcher);
+
+    readdirSync(fullDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !skippedDirs.includes(entry.name))
+      .forEach((entry) => add(subDir ? `${subDir}/${entry.name}` : entry.name));
+  };
+
+  add("");
+  return () => watchers.forEach((watcher) => watcher.close());
+}
+
+/**
+ * Watches a file, directory or glob pattern and calls `onChange` with the paths changed since the last call.
+ * Changes are batched, so saving many files at once results in a single call.
+ * @param {string} target path to file or directory, or a glob pattern
+ * @param {{ recursive: boolean, delay?: number, isIgnored?: (path: string) => boolean }} options
+ * `isIgnored` gets the changed paths prefixed with the watched directory, which are left out if it returns `true`
+ * @param {(changed: string[]) => void} onChange receives changed paths prefixed with the watched directory
+ * @returns {{ close: () => void }}
+ */
+function watchPath(target, { recursive, delay = 100, isIgnored = () => false }, onChange) {
+  const isGlob = target.includes("*");
+  const dir = isGlob
+    ? getGlobBase(target)
+    : lstatSync(target).isDirectory()
+    ? target
+    : path.dirname(target);
+  const changed = new Set();
+  let timeout;
+
+  const closeWatchers = watchDir(dir, isGlob || recursive, (filename) => {
+    const file = `${dir === "." ? "" : `${dir}/`}${filename}`;
+    if (isIgnored(file)) return;
+
+    changed.add(file);
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      const paths = [...changed];
+      changed.clear();
+      onChange(paths);
+    }, delay);
+  });
+
+  return {
+    close() {
+      clearTimeout(timeout);
+      closeWatchers();
+    },
+  };
+}
+
+module.exports = { watchPath };